@@ -1,6 +1,11 @@
 #!/usr/bin/env node
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { MCP_TRANSPORT } from './src/config.js';
+import { startHttpServer } from './src/transports/http.js';
+import { createToolRegistry } from './src/utils/tool-registry.js';
+import { createResourceRegistry } from './src/utils/resource-registry.js';
+import { createPromptRegistry } from './src/utils/prompt-registry.js';
 
 // Import tool registration functions
 import { registerProductTools } from './src/tools/products.js';
@@ -20,72 +25,134 @@ import { registerMediaTools } from './src/tools/media.js';
 import { registerPromotionTools } from './src/tools/promotions.js';
 import { registerUrlRewriteTools } from './src/tools/url-rewrites.js';
 import { registerTaxTools } from './src/tools/tax.js';
+import { registerSearchTools } from './src/tools/search.js';
+import { registerCacheTools } from './src/tools/cache.js';
+import { registerAuditTools } from './src/tools/audit.js';
+import { registerProductResources } from './src/resources/products.js';
+import { registerCategoryResources } from './src/resources/categories.js';
+import { registerOrderResources } from './src/resources/orders.js';
+import { registerCmsResources } from './src/resources/cms.js';
+import { registerStoreResources } from './src/resources/store.js';
+import { registerAnalyticsPrompts } from './src/prompts/analytics.js';
+import { registerOrderPrompts } from './src/prompts/orders.js';
+import { registerCategoryPrompts } from './src/prompts/categories.js';
+import { registerStockPrompts } from './src/prompts/stock.js';
+
+// Tool modules, in registration order: [label, module name used by the tool policy, registration function]
+const toolModules = [
+  ['Product', 'products', registerProductTools],
+  ['Category', 'categories', registerCategoryTools],
+  ['Customer', 'customers', registerCustomerTools],
+  ['Order', 'orders', registerOrderTools],
+  ['Analytics', 'analytics', registerAnalyticsTools],
+  ['Invoice', 'invoices', registerInvoiceTools],
+  ['Shipment', 'shipments', registerShipmentTools],
+  ['Credit Memo', 'creditmemos', registerCreditmemoTools],
+  ['Stock', 'stock', registerStockTools],
+  ['Cart', 'carts', registerCartTools],
+  ['CMS', 'cms', registerCmsTools],
+  ['Store', 'store', registerStoreTools],
+  ['Attribute', 'attributes', registerAttributeTools],
+  ['Media', 'media', registerMediaTools],
+  ['Promotion', 'promotions', registerPromotionTools],
+  ['URL Rewrite', 'url-rewrites', registerUrlRewriteTools],
+  ['Tax', 'tax', registerTaxTools],
+  ['Search', 'search', registerSearchTools],
+  ['Cache', 'cache', registerCacheTools],
+  ['Audit', 'audit', registerAuditTools]
+];
+
+// Resource modules: [label, module name used by the policy, registration function]
+const resourceModules = [
+  ['Product', 'products', registerProductResources],
+  ['Category', 'categories', registerCategoryResources],
+  ['Order', 'orders', registerOrderResources],
+  ['CMS', 'cms', registerCmsResources],
+  ['Store', 'store', registerStoreResources]
+];
+
+// Prompt modules: [label, module whose tools the prompts use, registration function]
+const promptModules = [
+  ['Analytics', 'analytics', registerAnalyticsPrompts],
+  ['Order', 'orders', registerOrderPrompts],
+  ['Category', 'categories', registerCategoryPrompts],
+  ['Stock', 'stock', registerStockPrompts]
+];
+
+/**
+ * Create an MCP server with all tools, resources and prompts registered.
+ * Called once for stdio and once per client session in HTTP mode.
+ * @param {object} options
+ * @param {boolean} options.verbose - Log each module as it is registered
+ * @returns {McpServer} The MCP server instance
+ */
+function createServer({ verbose = false } = {}) {
+  const server = new McpServer({
+    name: "magento-mcp-server",
+    version: "2.0.0"
+  });
+
+  for (const [label, moduleName, registerTools] of toolModules) {
+    if (verbose) {
+      console.error(`Registering ${label} tools...`);
+    }
+
+    // Every tool gets an optional `instance` argument selecting the Magento instance
+    const registry = createToolRegistry(server, moduleName);
+    registerTools(registry);
+
+    if (verbose && registry.disabledTools.length > 0) {
+      console.error(`  Disabled by policy: ${registry.disabledTools.join(', ')}`);
+    }
+  }
 
-// Create an MCP server
-const server = new McpServer({
-  name: "magento-mcp-server",
-  version: "2.0.0"
-});
-
-// Register all tools
-console.error('Registering Product tools...');
-registerProductTools(server);
-
-console.error('Registering Category tools...');
-registerCategoryTools(server);
-
-console.error('Registering Customer tools...');
-registerCustomerTools(server);
-
-console.error('Registering Order tools...');
-registerOrderTools(server);
-
-console.error('Registering Analytics tools...');
-registerAnalyticsTools(server);
-
-console.error('Registering Invoice tools...');
-registerInvoiceTools(server);
-
-console.error('Registering Shipment tools...');
-registerShipmentTools(server);
-
-console.error('Registering Credit Memo tools...');
-registerCreditmemoTools(server);
-
-console.error('Registering Stock tools...');
-registerStockTools(server);
-
-console.error('Registering Cart tools...');
-registerCartTools(server);
-
-console.error('Registering CMS tools...');
-registerCmsTools(server);
+  for (const [label, moduleName, registerResources] of resourceModules) {
+    if (verbose) {
+      console.error(`Registering ${label} resources...`);
+    }
 
-console.error('Registering Store tools...');
-registerStoreTools(server);
+    const registry = createResourceRegistry(server, moduleName);
+    registerResources(registry);
 
-console.error('Registering Attribute tools...');
-registerAttributeTools(server);
+    if (verbose && registry.disabledResources.length > 0) {
+      console.error(`  Disabled by policy: ${registry.disabledResources.join(', ')}`);
+    }
+  }
 
-console.error('Registering Media tools...');
-registerMediaTools(server);
+  for (const [label, moduleName, registerPrompts] of promptModules) {
+    if (verbose) {
+      console.error(`Registering ${label} prompts...`);
+    }
 
-console.error('Registering Promotion tools...');
-registerPromotionTools(server);
+    const registry = createPromptRegistry(server, moduleName);
+    registerPrompts(registry);
 
-console.error('Registering URL Rewrite tools...');
-registerUrlRewriteTools(server);
+    if (verbose && registry.disabledPrompts.length > 0) {
+      console.error(`  Disabled by policy: ${registry.disabledPrompts.join(', ')}`);
+    }
+  }
 
-console.error('Registering Tax tools...');
-registerTaxTools(server);
+  return server;
+}
 
-// Start the MCP server with stdio transport
+// Start the MCP server with the configured transport
 async function main() {
   try {
     console.error('Starting Magento MCP Server...');
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
-    console.error('Magento MCP Server running on stdio');
+
+    if (MCP_TRANSPORT === 'http') {
+      // Build one server up front so registration problems surface at startup
+      createServer({ verbose: true });
+      await startHttpServer(createServer);
+    } else if (MCP_TRANSPORT === 'stdio') {
+      const server = createServer({ verbose: true });
+      const transport = new StdioServerTransport();
+      await server.connect(transport);
+      console.error('Magento MCP Server running on stdio');
+    } else {
+      throw new Error(`Unknown MCP_TRANSPORT '${MCP_TRANSPORT}' (expected 'stdio' or 'http')`);
+    }
+
     console.error('All tools registered successfully!');
   } catch (error) {
     console.error('Error starting MCP server:', error);
@@ -1,4 +1,7 @@
+import fs from 'fs';
+import path from 'path';
 import https from 'https';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -6,6 +9,275 @@ dotenv.config();
 export const MAGENTO_BASE_URL = process.env.MAGENTO_BASE_URL || '';
 export const MAGENTO_API_TOKEN = process.env.MAGENTO_API_TOKEN || '';
 
+// OAuth 1.0a integration credentials (alternative to MAGENTO_API_TOKEN)
+export const MAGENTO_OAUTH_CONSUMER_KEY = process.env.MAGENTO_OAUTH_CONSUMER_KEY || '';
+export const MAGENTO_OAUTH_CONSUMER_SECRET = process.env.MAGENTO_OAUTH_CONSUMER_SECRET || '';
+export const MAGENTO_OAUTH_ACCESS_TOKEN = process.env.MAGENTO_OAUTH_ACCESS_TOKEN || '';
+export const MAGENTO_OAUTH_ACCESS_TOKEN_SECRET = process.env.MAGENTO_OAUTH_ACCESS_TOKEN_SECRET || '';
+
+// Admin username/password login (tokens are requested and refreshed automatically)
+export const MAGENTO_ADMIN_USERNAME = process.env.MAGENTO_ADMIN_USERNAME || '';
+export const MAGENTO_ADMIN_PASSWORD = process.env.MAGENTO_ADMIN_PASSWORD || '';
+export const MAGENTO_ADMIN_TFA_PROVIDER = process.env.MAGENTO_ADMIN_TFA_PROVIDER || '';
+export const MAGENTO_ADMIN_TFA_SECRET = process.env.MAGENTO_ADMIN_TFA_SECRET || '';
+export const MAGENTO_ADMIN_TOKEN_LIFETIME_MINUTES = parseInt(process.env.MAGENTO_ADMIN_TOKEN_LIFETIME_MINUTES || '240', 10);
+
 export const httpsAgent = new https.Agent({
   rejectUnauthorized: process.env.NODE_TLS_REJECT_UNAUTHORIZED !== '0'
-});
\ No newline at end of file
+});
+
+// Retries with exponential backoff for transient failures of idempotent requests
+export const MAGENTO_MAX_RETRIES = parseInt(process.env.MAGENTO_MAX_RETRIES || '3', 10);
+export const MAGENTO_RETRY_BASE_DELAY_MS = parseInt(process.env.MAGENTO_RETRY_BASE_DELAY_MS || '500', 10);
+export const MAGENTO_RETRY_MAX_DELAY_MS = parseInt(process.env.MAGENTO_RETRY_MAX_DELAY_MS || '10000', 10);
+
+// Circuit breaker: fail fast after this many consecutive server failures (0 disables it)
+export const MAGENTO_CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.MAGENTO_CIRCUIT_FAILURE_THRESHOLD || '5', 10);
+export const MAGENTO_CIRCUIT_RESET_MS = parseInt(process.env.MAGENTO_CIRCUIT_RESET_MS || '30000', 10);
+
+// Client-side rate limiting shared by all tools (0 = unlimited)
+export const MAGENTO_MAX_CONCURRENCY = parseInt(process.env.MAGENTO_MAX_CONCURRENCY || '4', 10);
+export const MAGENTO_REQUESTS_PER_SECOND = parseFloat(process.env.MAGENTO_REQUESTS_PER_SECOND || '0');
+
+// Page size used when fetching every page of a search (analytics, fetchAllPages)
+export const MAGENTO_FETCH_PAGE_SIZE = parseInt(process.env.MAGENTO_FETCH_PAGE_SIZE || '100', 10);
+
+// Response cache for read-only reference endpoints
+export const MAGENTO_CACHE_ENABLED = process.env.MAGENTO_CACHE_ENABLED !== 'false';
+export const MAGENTO_CACHE_TTLS = parseJsonSetting('MAGENTO_CACHE_TTLS', {});
+export const MAGENTO_CACHE_FILE = process.env.MAGENTO_CACHE_FILE || '';
+
+// Tool policy: read-only mode and comma-separated glob allow/deny lists of tool and module names
+export const MAGENTO_READ_ONLY = process.env.MAGENTO_READ_ONLY === 'true';
+export const MAGENTO_TOOLS_ALLOW = parseListSetting('MAGENTO_TOOLS_ALLOW');
+export const MAGENTO_TOOLS_DENY = parseListSetting('MAGENTO_TOOLS_DENY');
+export const MAGENTO_MODULES_ALLOW = parseListSetting('MAGENTO_MODULES_ALLOW');
+export const MAGENTO_MODULES_DENY = parseListSetting('MAGENTO_MODULES_DENY');
+
+// Dry-run mode: mutating tools return the request they would send instead of sending it
+export const MAGENTO_DRY_RUN = process.env.MAGENTO_DRY_RUN === 'true';
+
+// Destructive tools (deletes, refunds, cancellations) require a second call with a confirmation token
+export const MAGENTO_CONFIRMATION_ENABLED = process.env.MAGENTO_CONFIRMATION_ENABLED !== 'false';
+export const MAGENTO_CONFIRMATION_TTL_SECONDS = parseInt(process.env.MAGENTO_CONFIRMATION_TTL_SECONDS || '300', 10);
+
+// Audit log of mutating tool calls (JSON lines, rotated by size)
+export const MAGENTO_AUDIT_LOG_ENABLED = process.env.MAGENTO_AUDIT_LOG_ENABLED !== 'false';
+export const MAGENTO_AUDIT_LOG_FILE = process.env.MAGENTO_AUDIT_LOG_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'logs', 'audit.jsonl');
+export const MAGENTO_AUDIT_LOG_MAX_BYTES = parseInt(process.env.MAGENTO_AUDIT_LOG_MAX_BYTES || '10485760', 10);
+export const MAGENTO_AUDIT_LOG_MAX_FILES = parseInt(process.env.MAGENTO_AUDIT_LOG_MAX_FILES || '5', 10);
+
+// Longest tool response text returned in one call (characters, 0 = unlimited); longer responses are truncated
+// and continued with `response_offset`
+export const MAGENTO_MAX_RESPONSE_CHARS = parseInt(process.env.MAGENTO_MAX_RESPONSE_CHARS || '50000', 10);
+
+// First month (1-12) of the fiscal year used by fiscal year date expressions ('this fiscal year', 'FY2025', ...)
+export const MAGENTO_FISCAL_YEAR_START_MONTH = parseInt(process.env.MAGENTO_FISCAL_YEAR_START_MONTH || '1', 10);
+
+// MCP transport: 'stdio' (default) or 'http' (Streamable HTTP + legacy SSE)
+export const MCP_TRANSPORT = (process.env.MCP_TRANSPORT || 'stdio').toLowerCase();
+export const MCP_HTTP_HOST = process.env.MCP_HTTP_HOST || '127.0.0.1';
+export const MCP_HTTP_PORT = parseInt(process.env.MCP_HTTP_PORT || '3000', 10);
+export const MCP_HTTP_AUTH_TOKEN = process.env.MCP_HTTP_AUTH_TOKEN || '';
+// Host names clients may use to reach the HTTP server (Host and Origin headers); loopback names by default when
+// bound to a loopback address, any host otherwise
+export const MCP_HTTP_ALLOWED_HOSTS = (process.env.MCP_HTTP_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim())
+  .filter(Boolean);
+
+/**
+ * Parse an environment variable holding JSON
+ * @param {string} name - Environment variable name
+ * @param {any} fallback - Value used when the variable is not set
+ * @returns {any} Parsed value
+ */
+function parseJsonSetting(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a comma-separated environment variable
+ * @param {string} name - Environment variable name
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function parseListSetting(name) {
+  return (process.env[name] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Load the raw instance definitions from MAGENTO_INSTANCES (inline JSON)
+ * or MAGENTO_INSTANCES_FILE (path to a JSON file)
+ * @returns {object} Map of instance name to raw definition
+ */
+function loadInstanceDefinitions() {
+  let source = process.env.MAGENTO_INSTANCES;
+  let origin = 'MAGENTO_INSTANCES';
+
+  if (!source && process.env.MAGENTO_INSTANCES_FILE) {
+    origin = process.env.MAGENTO_INSTANCES_FILE;
+    source = fs.readFileSync(origin, 'utf8');
+  }
+
+  if (!source) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${origin}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the authentication settings of an instance definition.
+ * Supported types: 'bearer' (static token), 'oauth1' (integration request signing)
+ * and 'admin' (username/password login, optionally through the Google Authenticator 2FA provider).
+ * @param {string} name - Instance name
+ * @param {object} definition - Raw instance definition
+ * @returns {object} Normalized auth settings
+ */
+function resolveAuth(name, definition) {
+  const auth = definition.auth || { type: 'bearer', token: definition.token || '' };
+
+  switch (auth.type) {
+    case 'bearer':
+      return { type: 'bearer', token: auth.token || definition.token || '' };
+    case 'oauth1': {
+      const required = ['consumerKey', 'consumerSecret', 'accessToken', 'accessTokenSecret'];
+      const missing = required.filter(key => !auth[key]);
+      if (missing.length > 0) {
+        throw new Error(`Magento instance '${name}' uses oauth1 auth but is missing: ${missing.join(', ')}`);
+      }
+      return { ...auth };
+    }
+    case 'admin': {
+      if (!auth.username || !auth.password) {
+        throw new Error(`Magento instance '${name}' uses admin auth but is missing username or password`);
+      }
+      if (auth.tfaProvider && auth.tfaProvider !== 'google') {
+        throw new Error(`Magento instance '${name}' uses unsupported 2FA provider '${auth.tfaProvider}' (only 'google' can be automated)`);
+      }
+      if (auth.tfaProvider && !auth.tfaSecret) {
+        throw new Error(`Magento instance '${name}' uses 2FA but is missing tfaSecret`);
+      }
+      return { ...auth };
+    }
+    default:
+      throw new Error(`Magento instance '${name}' has unsupported auth type '${auth.type}'`);
+  }
+}
+
+/**
+ * Build the auth settings of the "default" instance from environment variables
+ * @returns {object} Raw auth settings
+ */
+function defaultInstanceAuth() {
+  if (MAGENTO_OAUTH_CONSUMER_KEY) {
+    return {
+      type: 'oauth1',
+      consumerKey: MAGENTO_OAUTH_CONSUMER_KEY,
+      consumerSecret: MAGENTO_OAUTH_CONSUMER_SECRET,
+      accessToken: MAGENTO_OAUTH_ACCESS_TOKEN,
+      accessTokenSecret: MAGENTO_OAUTH_ACCESS_TOKEN_SECRET
+    };
+  }
+
+  if (MAGENTO_ADMIN_USERNAME) {
+    return {
+      type: 'admin',
+      username: MAGENTO_ADMIN_USERNAME,
+      password: MAGENTO_ADMIN_PASSWORD,
+      tfaProvider: MAGENTO_ADMIN_TFA_PROVIDER || undefined,
+      tfaSecret: MAGENTO_ADMIN_TFA_SECRET || undefined,
+      tokenLifetimeMinutes: MAGENTO_ADMIN_TOKEN_LIFETIME_MINUTES
+    };
+  }
+
+  return { type: 'bearer', token: MAGENTO_API_TOKEN };
+}
+
+/**
+ * Build the named-instance registry.
+ * The legacy MAGENTO_BASE_URL / MAGENTO_API_TOKEN pair (or the MAGENTO_OAUTH_* / MAGENTO_ADMIN_* credentials)
+ * is registered as the "default" instance.
+ * @returns {object} Map of instance name to { name, baseUrl, auth, httpsAgent, retry, circuitBreaker, rateLimit }
+ */
+function buildInstanceRegistry() {
+  const definitions = loadInstanceDefinitions();
+
+  if (MAGENTO_BASE_URL && !definitions.default) {
+    definitions.default = {
+      baseUrl: MAGENTO_BASE_URL,
+      auth: defaultInstanceAuth()
+    };
+  }
+
+  const registry = {};
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (!definition.baseUrl) {
+      throw new Error(`Magento instance '${name}' is missing baseUrl`);
+    }
+
+    registry[name] = {
+      ...definition,
+      name,
+      baseUrl: definition.baseUrl.replace(/\/+$/, ''),
+      auth: resolveAuth(name, definition),
+      // Instances inherit the global TLS setting unless they override it
+      httpsAgent: definition.tlsRejectUnauthorized === undefined
+        ? httpsAgent
+        : new https.Agent({ rejectUnauthorized: definition.tlsRejectUnauthorized }),
+      retry: {
+        maxRetries: definition.maxRetries ?? MAGENTO_MAX_RETRIES,
+        baseDelayMs: definition.retryBaseDelayMs ?? MAGENTO_RETRY_BASE_DELAY_MS,
+        maxDelayMs: definition.retryMaxDelayMs ?? MAGENTO_RETRY_MAX_DELAY_MS
+      },
+      circuitBreaker: {
+        failureThreshold: definition.circuitFailureThreshold ?? MAGENTO_CIRCUIT_FAILURE_THRESHOLD,
+        resetMs: definition.circuitResetMs ?? MAGENTO_CIRCUIT_RESET_MS
+      },
+      rateLimit: {
+        maxConcurrency: definition.maxConcurrency ?? MAGENTO_MAX_CONCURRENCY,
+        requestsPerSecond: definition.requestsPerSecond ?? MAGENTO_REQUESTS_PER_SECOND
+      }
+    };
+  }
+
+  return registry;
+}
+
+export const MAGENTO_INSTANCES = buildInstanceRegistry();
+
+export const MAGENTO_DEFAULT_INSTANCE = process.env.MAGENTO_DEFAULT_INSTANCE ||
+  (MAGENTO_INSTANCES.default ? 'default' : Object.keys(MAGENTO_INSTANCES)[0] || 'default');
+
+/**
+ * Get the configuration of a named Magento instance
+ * @param {string} [name] - Instance name (defaults to MAGENTO_DEFAULT_INSTANCE)
+ * @returns {object} Instance configuration
+ */
+export function getInstanceConfig(name = MAGENTO_DEFAULT_INSTANCE) {
+  const instance = MAGENTO_INSTANCES[name];
+
+  if (!instance) {
+    const available = Object.keys(MAGENTO_INSTANCES);
+    throw new Error(`Unknown Magento instance '${name}'. ` +
+      (available.length > 0 ? `Available instances: ${available.join(', ')}` : 'No Magento instances are configured'));
+  }
+
+  return instance;
+}
@@ -0,0 +1,43 @@
+import { z } from 'zod';
+import { userMessage, numberedSteps } from '../utils/prompt-registry.js';
+
+/**
+ * Register analytics workflow prompts
+ * @param {object} server - Prompt registry
+ */
+function registerAnalyticsPrompts(server) {
+  // Prompt: Daily sales briefing
+  server.prompt(
+    "daily_sales_briefing",
+    {
+      title: "Daily sales briefing",
+      description: "Summarize revenue, orders and best sellers for a day and compare them with the day before",
+      argsSchema: {
+        date_range: z.string().optional().describe("Day to report on (default: 'yesterday')")
+      },
+      requiredTools: { get_revenue: 'analytics' },
+      optionalTools: { get_order_count: 'analytics', get_product_sales: 'analytics' }
+    },
+    ({ date_range = 'yesterday' }, isAvailable) => userMessage(
+      `Prepare a short sales briefing for ${date_range} for the store team.\n\n` +
+      numberedSteps([
+        `Call get_revenue with date_range "${date_range}" for the revenue, order count, average order value and tax.`,
+        isAvailable('get_order_count') &&
+          `Call get_order_count with date_range "${date_range}" and status "pending", then "processing", to see what still needs handling.`,
+        isAvailable('get_product_sales') &&
+          `Call get_product_sales with date_range "${date_range}" for the best-selling products.`,
+        'Call get_revenue for the day before to compare.'
+      ]) + '\n\n' +
+      'Write the briefing as a few bullet points: revenue and orders with the change versus the day before' +
+      (isAvailable('get_product_sales') ? ', the top 5 products' : '') +
+      (isAvailable('get_order_count') ? ', and orders waiting to be processed' : '') +
+      '. Point out anything unusual (large drops or spikes' +
+      (isAvailable('get_order_count') ? ', many pending orders' : '') +
+      '). Keep it under 200 words and avoid technical terms.'
+    )
+  );
+}
+
+export {
+  registerAnalyticsPrompts
+};
@@ -0,0 +1,45 @@
+import { z } from 'zod';
+import { userMessage, numberedSteps } from '../utils/prompt-registry.js';
+
+/**
+ * Register catalog workflow prompts
+ * @param {object} server - Prompt registry
+ */
+function registerCategoryPrompts(server) {
+  // Prompt: Catalog SEO audit of a category
+  server.prompt(
+    "catalog_seo_audit",
+    {
+      title: "Catalog SEO audit",
+      description: "Review the SEO metadata of a category and its products and list what to fix",
+      argsSchema: {
+        category_id: z.string().describe("ID of the category to audit")
+      },
+      requiredTools: {
+        get_category_by_id: 'categories',
+        get_products_in_category: 'categories',
+        get_product_by_sku: 'products'
+      },
+      optionalTools: { search_url_rewrites: 'url-rewrites' }
+    },
+    ({ category_id }, isAvailable) => userMessage(
+      `Run an SEO audit of category ${category_id}.\n\n` +
+      numberedSteps([
+        `Call get_category_by_id with category_id ${category_id} and check its name, URL key, meta title, meta ` +
+          'description and description.',
+        `Call get_products_in_category with category_id ${category_id} (follow next_cursor to get every page).`,
+        'For each product, call get_product_by_sku and check the meta_title, meta_description, url_key, description ' +
+          'and short_description custom attributes.',
+        isAvailable('search_url_rewrites') &&
+          `Call search_url_rewrites with target_path "catalog/category/view/id/${category_id}" to check the category URL.`
+      ]) + '\n\n' +
+      'Report a table of issues per product: missing or duplicate meta titles and descriptions, meta titles over 60 or ' +
+      'descriptions over 160 characters, empty or very short descriptions, and URL keys that are not readable. ' +
+      'Propose improved values for the worst ones, but do not update anything.'
+    )
+  );
+}
+
+export {
+  registerCategoryPrompts
+};
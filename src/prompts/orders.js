@@ -0,0 +1,53 @@
+import { z } from 'zod';
+import { userMessage, numberedSteps } from '../utils/prompt-registry.js';
+
+/**
+ * Register order workflow prompts
+ * @param {object} server - Prompt registry
+ */
+function registerOrderPrompts(server) {
+  // Prompt: Investigate an order
+  server.prompt(
+    "investigate_order",
+    {
+      title: "Investigate order",
+      description: "Gather everything about an order (items, payment, invoices, shipments, refunds, comments) and explain its state",
+      argsSchema: {
+        increment_id: z.string().describe("Order number shown to the customer (increment ID, e.g. '000000123')")
+      },
+      requiredTools: { get_order_by_increment_id: 'orders' },
+      optionalTools: {
+        get_order_items: 'orders',
+        get_order_comments: 'orders',
+        search_invoices: 'invoices',
+        search_shipments: 'shipments',
+        search_creditmemos: 'creditmemos'
+      }
+    },
+    ({ increment_id }, isAvailable) => {
+      const followUpTools = ['get_order_items', 'get_order_comments', 'search_invoices', 'search_shipments', 'search_creditmemos']
+        .filter(isAvailable);
+
+      return userMessage(
+        `Investigate order ${increment_id}.\n\n` +
+        numberedSteps([
+          `Call get_order_by_increment_id with increment_id "${increment_id}" and note its entity_id, status, customer, ` +
+            'payment method and totals.',
+          followUpTools.length > 0 &&
+            `Using the entity_id as order_id, call ${followUpTools.join(', ')}.`
+        ]) + '\n\n' +
+        'Then explain in plain language: what was ordered and by whom, whether it has been paid (invoiced), shipped ' +
+        (isAvailable('search_shipments') ? '(with tracking numbers) ' : '') +
+        'or refunded' +
+        (isAvailable('get_order_comments') ? ', the history from the comments' : '') +
+        ', and anything that looks wrong or stuck ' +
+        '(e.g. paid but not shipped for days, on hold, partially refunded). End with suggested next steps. ' +
+        'Do not change the order; only read it.'
+      );
+    }
+  );
+}
+
+export {
+  registerOrderPrompts
+};
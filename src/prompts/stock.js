@@ -0,0 +1,39 @@
+import { z } from 'zod';
+import { userMessage, numberedSteps } from '../utils/prompt-registry.js';
+
+/**
+ * Register inventory workflow prompts
+ * @param {object} server - Prompt registry
+ */
+function registerStockPrompts(server) {
+  // Prompt: Low stock reorder plan
+  server.prompt(
+    "low_stock_reorder_plan",
+    {
+      title: "Low stock reorder plan",
+      description: "List products running low and suggest reorder quantities from recent sales",
+      argsSchema: {
+        threshold: z.string().optional().describe("Stock quantity at or below which a product is low (default: 10)"),
+        sales_period: z.string().optional().describe("Period whose sales are used to estimate demand (default: 'last month')")
+      },
+      requiredTools: { get_low_stock_products: 'stock', get_product_sales: 'analytics' },
+      optionalTools: { get_product_stock: 'stock' }
+    },
+    ({ threshold = '10', sales_period = 'last month' }, isAvailable) => userMessage(
+      'Prepare a reorder plan for products that are running low on stock.\n\n' +
+      numberedSteps([
+        `Call get_low_stock_products with threshold ${threshold} (follow next_cursor to get every page).`,
+        `Call get_product_sales with date_range "${sales_period}" to see how many of each product sold.`,
+        isAvailable('get_product_stock') &&
+          'For products that sold well, call get_product_stock to confirm the current quantity and backorder settings.'
+      ]) + '\n\n' +
+      'Produce a table with SKU, name, current quantity, units sold in the period, estimated days of stock left and a ' +
+      'suggested reorder quantity covering the next 30 days. Sort it by urgency and flag products that are out of stock ' +
+      'but still selling. Do not change any stock levels.'
+    )
+  );
+}
+
+export {
+  registerStockPrompts
+};
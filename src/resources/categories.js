@@ -0,0 +1,38 @@
+import { callMagentoApi, fetchAllPages } from '../utils/api-client.js';
+import { jsonContents } from '../utils/resource-registry.js';
+
+/**
+ * Register category resources
+ * @param {object} server - Resource registry
+ */
+function registerCategoryResources(server) {
+  // Resource: Category by ID, listing every category
+  server.resource(
+    "category",
+    "magento://category/{id}",
+    {
+      title: "Magento category",
+      description: "A category by ID",
+      mimeType: "application/json"
+    },
+    async (uri, { id }) => {
+      const category = await callMagentoApi(`/categories/${encodeURIComponent(id)}`);
+      return jsonContents(uri, category);
+    },
+    async () => {
+      const categories = await fetchAllPages('/categories/list', 'searchCriteria');
+      return {
+        resources: categories.map(category => ({
+          uri: `magento://category/${category.id}`,
+          name: category.name,
+          title: `${category.name} (category ${category.id})`,
+          mimeType: 'application/json'
+        }))
+      };
+    }
+  );
+}
+
+export {
+  registerCategoryResources
+};
@@ -0,0 +1,37 @@
+import { callMagentoApi } from '../utils/api-client.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { jsonContents } from '../utils/resource-registry.js';
+
+/**
+ * Register CMS resources
+ * @param {object} server - Resource registry
+ */
+function registerCmsResources(server) {
+  // Resource: CMS page by URL key
+  server.resource(
+    "cms_page",
+    "magento://cms/page/{identifier}",
+    {
+      title: "Magento CMS page",
+      description: "A CMS page by identifier (URL key)",
+      mimeType: "application/json"
+    },
+    async (uri, { identifier }) => {
+      const pageIdentifier = decodeURIComponent(identifier);
+      const searchCriteria = new SearchCriteriaBuilder()
+        .addFilter('identifier', pageIdentifier)
+        .setPageSize(1)
+        .build();
+
+      const pages = await callMagentoApi(`/cmsPage/search?${searchCriteria}`);
+      if (!pages.items || pages.items.length === 0) {
+        throw new Error(`CMS page '${pageIdentifier}' not found`);
+      }
+      return jsonContents(uri, pages.items[0]);
+    }
+  );
+}
+
+export {
+  registerCmsResources
+};
@@ -0,0 +1,37 @@
+import { callMagentoApi } from '../utils/api-client.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { jsonContents } from '../utils/resource-registry.js';
+
+/**
+ * Register order resources
+ * @param {object} server - Resource registry
+ */
+function registerOrderResources(server) {
+  // Resource: Order by increment ID
+  server.resource(
+    "order",
+    "magento://order/{increment_id}",
+    {
+      title: "Magento order",
+      description: "An order by increment ID (the order number shown to customers)",
+      mimeType: "application/json"
+    },
+    async (uri, { increment_id }) => {
+      const incrementId = decodeURIComponent(increment_id);
+      const searchCriteria = new SearchCriteriaBuilder()
+        .addFilter('increment_id', incrementId)
+        .setPageSize(1)
+        .build();
+
+      const orders = await callMagentoApi(`/orders?${searchCriteria}`);
+      if (!orders.items || orders.items.length === 0) {
+        throw new Error(`Order ${incrementId} not found`);
+      }
+      return jsonContents(uri, orders.items[0]);
+    }
+  );
+}
+
+export {
+  registerOrderResources
+};
@@ -0,0 +1,28 @@
+import { callMagentoApi } from '../utils/api-client.js';
+import { formatProduct } from '../utils/formatters.js';
+import { jsonContents } from '../utils/resource-registry.js';
+
+/**
+ * Register product resources
+ * @param {object} server - Resource registry
+ */
+function registerProductResources(server) {
+  // Resource: Product by SKU
+  server.resource(
+    "product",
+    "magento://product/{sku}",
+    {
+      title: "Magento product",
+      description: "A product by SKU, with its custom attributes",
+      mimeType: "application/json"
+    },
+    async (uri, { sku }) => {
+      const product = await callMagentoApi(`/products/${encodeURIComponent(decodeURIComponent(sku))}`);
+      return jsonContents(uri, formatProduct(product));
+    }
+  );
+}
+
+export {
+  registerProductResources
+};
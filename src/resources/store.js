@@ -0,0 +1,63 @@
+import { callMagentoApi } from '../utils/api-client.js';
+import { jsonContents } from '../utils/resource-registry.js';
+
+/**
+ * Register store configuration resources
+ * @param {object} server - Resource registry
+ */
+function registerStoreResources(server) {
+  // Resource: Store configuration of every store view
+  server.resource(
+    "store_config",
+    "magento://store/config",
+    {
+      title: "Magento store configuration",
+      description: "Locale, currency, timezone and base URLs of every store view",
+      mimeType: "application/json"
+    },
+    async (uri) => {
+      const configs = await callMagentoApi('/store/storeConfigs');
+      return jsonContents(uri, configs);
+    }
+  );
+
+  // Resource: Store view by code, listing every store view
+  server.resource(
+    "store_view",
+    "magento://store/view/{code}",
+    {
+      title: "Magento store view",
+      description: "A store view by code, with its configuration",
+      mimeType: "application/json"
+    },
+    async (uri, { code }) => {
+      const [storeViews, configs] = await Promise.all([
+        callMagentoApi('/store/storeViews'),
+        callMagentoApi('/store/storeConfigs')
+      ]);
+
+      const storeView = storeViews.find(view => view.code === code);
+      if (!storeView) {
+        throw new Error(`Store view '${code}' not found`);
+      }
+      return jsonContents(uri, { ...storeView, config: configs.find(config => config.code === code) || null });
+    },
+    async () => {
+      const storeViews = await callMagentoApi('/store/storeViews');
+      return {
+        resources: storeViews
+          .filter(view => view.code !== 'admin')
+          .map(view => ({
+            uri: `magento://store/view/${view.code}`,
+            name: view.name || view.code,
+            title: `${view.name || view.code} (store view ${view.code})`,
+            mimeType: 'application/json'
+          }))
+      };
+    }
+  );
+}
+
+export {
+  registerStoreResources
+};
@@ -1,8 +1,182 @@
 import { z } from 'zod';
-import { callMagentoApi, fetchAllPages } from '../utils/api-client.js';
-import { parseDateExpression, buildDateRangeFilter, normalizeCountry } from '../utils/date-utils.js';
-import { formatProduct } from '../utils/formatters.js';
-import { format } from 'date-fns';
+import { callMagentoApi, fetchAllPages, iteratePages } from '../utils/api-client.js';
+import {
+  parseDateExpression,
+  describeDateRange,
+  getStoreTimezone,
+  buildDateRangeFilter,
+  normalizeCountry
+} from '../utils/date-utils.js';
+import { formatProduct, structuredResult } from '../utils/formatters.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { OUTPUT_SCHEMAS } from '../utils/output-schemas.js';
+import { AMOUNT_BASES, getCurrencyInfo, amountOf, currencyOf, toBaseCurrency } from '../utils/currency.js';
+
+/**
+ * Whether an order's billing or shipping address is in one of the given countries
+ * @param {object} order - Magento order
+ * @param {Array<string>} countryCodes - Country codes (see normalizeCountry)
+ * @returns {boolean} True if either address country matches
+ */
+function matchesCountry(order, countryCodes) {
+  const billingCountry = order.billing_address?.country_id;
+  const shippingCountry = order.extension_attributes?.shipping_assignments?.[0]?.shipping?.address?.country_id;
+  return countryCodes.includes(billingCountry) || countryCodes.includes(shippingCountry);
+}
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount) {
+  return parseFloat(amount.toFixed(2));
+}
+
+/**
+ * Format an amount with its currency code, for tool summaries
+ * @param {number} amount - Amount
+ * @param {string|null} currency - Currency code, or null when unknown
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, currency) {
+  return currency ? `${amount} ${currency}` : String(amount);
+}
+
+// SKUs looked up per products search (`sku in (...)`), keeping the query string short
+const PRODUCT_LOOKUP_BATCH_SIZE = 100;
+
+/**
+ * Fetch the products of a list of SKUs with `sku in (...)` searches, in batches
+ * @param {Array<string>} skus - Product SKUs
+ * @returns {Promise<object>} SKU -> formatted product, or { sku, error } for SKUs no product was found for
+ */
+async function fetchProductsBySku(skus) {
+  const productMap = {};
+
+  for (let start = 0; start < skus.length; start += PRODUCT_LOOKUP_BATCH_SIZE) {
+    const batch = skus.slice(start, start + PRODUCT_LOOKUP_BATCH_SIZE);
+    const criteria = new SearchCriteriaBuilder().addFilter('sku', batch, 'in').build();
+    const products = await fetchAllPages('/products', criteria);
+    products.forEach(product => {
+      productMap[product.sku] = formatProduct(product);
+    });
+  }
+
+  skus.filter(sku => !productMap[sku]).forEach(sku => {
+    productMap[sku] = { sku, error: 'Product not found' };
+  });
+  return productMap;
+}
+
+// Key of the per-currency totals of orders whose currency neither the order nor the store gives
+const UNKNOWN_CURRENCY = 'unknown';
+
+/**
+ * Resolve the currency info orders are summed with, before iterating them
+ * @param {object} storeCurrency - Result of getCurrencyInfo
+ * @param {Array<object>} firstPage - First page of the orders to sum
+ * @returns {object} Copy of the currency info whose baseCurrency falls back to the orders' base_currency_code
+ * (/directory/currency may not give it, e.g. an empty response), or null when neither gives one
+ */
+function resolveCurrencyInfo(storeCurrency, firstPage) {
+  const baseCurrency = storeCurrency.baseCurrency ||
+    firstPage.find(order => order.base_currency_code)?.base_currency_code ||
+    null;
+  return { ...storeCurrency, baseCurrency };
+}
+
+/**
+ * Add an order's revenue and tax to per-currency totals
+ * @param {object} totals - Currency code (or 'unknown') -> { currency, revenue, tax_amount, order_count }
+ * @param {object} order - Magento order
+ * @param {string} basis - Amount basis ('base' or 'order')
+ * @param {string|null} baseCurrency - Store base currency (see resolveCurrencyInfo)
+ */
+function addOrderToTotals(totals, order, basis, baseCurrency) {
+  const currency = currencyOf(order, basis, baseCurrency);
+  const currencyTotals = totals[currency ?? UNKNOWN_CURRENCY] ||= { currency, revenue: 0, tax_amount: 0, order_count: 0 };
+
+  // grand_total includes tax, shipping, etc.; tax is tracked separately
+  currencyTotals.revenue += amountOf(order, 'grand_total', basis);
+  currencyTotals.tax_amount += amountOf(order, 'tax_amount', basis);
+  currencyTotals.order_count++;
+}
+
+/**
+ * Sum per-currency revenue totals in the store's base currency
+ * @param {object} totals - Totals built with addOrderToTotals
+ * @param {boolean} includeTax - Whether revenue includes tax
+ * @param {object} currencyInfo - Result of resolveCurrencyInfo
+ * @returns {object} Revenue result fields: revenue, currency, tax_amount, average_order_value, by_currency and
+ * unconverted_currencies (currencies without an exchange rate, left out of the converted totals)
+ */
+function convertRevenueTotals(totals, includeTax, currencyInfo) {
+  let revenue = 0;
+  let taxAmount = 0;
+  let convertedOrders = 0;
+  const unconverted = [];
+
+  const byCurrency = Object.values(totals).map(currencyTotals => {
+    const amount = includeTax ? currencyTotals.revenue : currencyTotals.revenue - currencyTotals.tax_amount;
+    const convertedAmount = toBaseCurrency(amount, currencyTotals.currency, currencyInfo);
+
+    if (convertedAmount === null) {
+      unconverted.push(currencyTotals.currency);
+    } else {
+      revenue += convertedAmount;
+      taxAmount += toBaseCurrency(currencyTotals.tax_amount, currencyTotals.currency, currencyInfo);
+      convertedOrders += currencyTotals.order_count;
+    }
+
+    return {
+      currency: currencyTotals.currency,
+      revenue: roundAmount(amount),
+      tax_amount: roundAmount(currencyTotals.tax_amount),
+      order_count: currencyTotals.order_count,
+      ...(convertedAmount !== null && currencyTotals.currency !== currencyInfo.baseCurrency
+        ? { revenue_in_base_currency: roundAmount(convertedAmount) }
+        : {})
+    };
+  });
+
+  return {
+    revenue: roundAmount(revenue),
+    currency: currencyInfo.baseCurrency,
+    average_order_value: convertedOrders > 0 ? roundAmount(revenue / convertedOrders) : 0,
+    tax_amount: roundAmount(taxAmount),
+    by_currency: byCurrency,
+    ...(unconverted.length > 0 ? { unconverted_currencies: unconverted } : {})
+  };
+}
+
+/**
+ * Describe the currencies behind a converted total, for tool summaries
+ * @param {object} result - Result with by_currency and unconverted_currencies
+ * @returns {string} Text to append to the summary (empty for a single currency)
+ */
+function describeCurrencies({ by_currency: byCurrency, unconverted_currencies: unconverted }) {
+  let text = '';
+  if (byCurrency.length > 1) {
+    text += `; by currency: ${byCurrency.map(totals => formatAmount(totals.revenue, totals.currency)).join(', ')}, converted at the store's exchange rates`;
+  }
+  if (unconverted) {
+    text += `; not converted (no exchange rate): ${unconverted.join(', ')}`;
+  }
+  return text;
+}
+
+/**
+ * Build the schema of the `amount_basis` argument of tools summing order amounts
+ * @returns {object} Zod schema
+ */
+function amountBasisSchema() {
+  return z.enum(AMOUNT_BASES).optional().describe(
+    "Sum base currency amounts (base_grand_total, ...) or each order's own currency amounts (grand_total, ...), " +
+    "converted to the base currency with the store's exchange rates (default: base)"
+  );
+}
 
 /**
  * Register all analytics/reporting tools with the MCP server
@@ -10,218 +184,172 @@ import { format } from 'date-fns';
  */
 function registerAnalyticsTools(server) {
   // Tool: Get revenue
-  server.tool(
+  server.registerTool(
     "get_revenue",
-    "Get the total revenue for a given date range",
     {
-      date_range: z.string().describe("Date range expression (e.g., 'today', 'yesterday', 'last week', 'this month', 'YTD', or a specific date range like '2023-01-01 to 2023-01-31')"),
-      status: z.string().optional().describe("Filter by order status (e.g., 'processing', 'complete', 'pending')"),
-      include_tax: z.boolean().optional().describe("Whether to include tax in the revenue calculation (default: true)")
+      description: "Get the total revenue for a given date range",
+      inputSchema: {
+        date_range: z.string().describe("Date range expression (e.g., 'today', 'last week', 'last 30 days', 'MTD', 'Q1 2025', 'March 2025', 'last fiscal year', 'since 2025-01-01', 'this month same period last year', or a specific date range like '2023-01-01 to 2023-01-31')"),
+        status: z.string().optional().describe("Filter by order status (e.g., 'processing', 'complete', 'pending')"),
+        include_tax: z.boolean().optional().describe("Whether to include tax in the revenue calculation (default: true)"),
+        amount_basis: amountBasisSchema()
+      },
+      outputSchema: OUTPUT_SCHEMAS.revenue
     },
-    async ({ date_range, status, include_tax = true }) => {
+    async ({ date_range, status, include_tax = true, amount_basis = 'base' }) => {
       try {
-        // Parse the date range expression
-        const dateRange = parseDateExpression(date_range);
+        // Parse the date range expression in the store's time zone
+        const dateRange = parseDateExpression(date_range, await getStoreTimezone());
 
         // Build the search criteria for the date range
-        let searchCriteria = buildDateRangeFilter('created_at', dateRange.startDate, dateRange.endDate);
+        const criteria = buildDateRangeFilter('created_at', dateRange.startDate, dateRange.endDate);
 
         // Add status filter if provided
         if (status) {
-          searchCriteria += `&searchCriteria[filter_groups][2][filters][0][field]=status&` +
-                            `searchCriteria[filter_groups][2][filters][0][value]=${encodeURIComponent(status)}&` +
-                            `searchCriteria[filter_groups][2][filters][0][condition_type]=eq`;
+          criteria.addFilter('status', status);
         }
 
-        // Fetch all orders using the helper function
-        const allOrders = await fetchAllPages('/orders', searchCriteria);
-
-        // Calculate total revenue
-        let totalRevenue = 0;
-        let totalTax = 0;
+        // Calculate revenue per currency, page by page
+        const storeCurrency = await getCurrencyInfo();
+        const totals = {};
+        let currencyInfo;
         let orderCount = 0;
 
-        if (allOrders && Array.isArray(allOrders)) {
-          orderCount = allOrders.length;
-
-          allOrders.forEach(order => {
-            // Use grand_total which includes tax, shipping, etc.
-            totalRevenue += parseFloat(order.grand_total || 0);
-
-            // Track tax separately
-            totalTax += parseFloat(order.tax_amount || 0);
-          });
+        for await (const orders of iteratePages('/orders', criteria.build())) {
+          currencyInfo ??= resolveCurrencyInfo(storeCurrency, orders);
+          orderCount += orders.length;
+          orders.forEach(order => addOrderToTotals(totals, order, amount_basis, currencyInfo.baseCurrency));
         }
 
-        // Adjust revenue if tax should be excluded
-        const revenueWithoutTax = totalRevenue - totalTax;
-        const finalRevenue = include_tax ? totalRevenue : revenueWithoutTax;
-
         // Format the response
         const result = {
           query: {
             date_range: dateRange.description,
             status: status || 'All',
             include_tax: include_tax,
-            period: {
-              start_date: format(dateRange.startDate, 'yyyy-MM-dd'),
-              end_date: format(dateRange.endDate, 'yyyy-MM-dd')
-            }
+            amount_basis,
+            period: describeDateRange(dateRange)
           },
           result: {
-            revenue: parseFloat(finalRevenue.toFixed(2)),
-            currency: 'USD', // This should be dynamically determined from the store configuration
             order_count: orderCount,
-            average_order_value: orderCount > 0 ? parseFloat((finalRevenue / orderCount).toFixed(2)) : 0,
-            tax_amount: parseFloat(totalTax.toFixed(2))
+            ...convertRevenueTotals(totals, include_tax, currencyInfo)
           }
         };
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2)
-            }
-          ]
-        };
+        const summary = `Revenue ${dateRange.description} (${result.query.period.start_date} to ${result.query.period.end_date}): ` +
+          `${formatAmount(result.result.revenue, result.result.currency)} ${include_tax ? 'incl.' : 'excl.'} tax from ${orderCount} orders, ` +
+          `average order value ${result.result.average_order_value}${describeCurrencies(result.result)}`;
+        return structuredResult(summary, result);
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error fetching revenue: ${error.message}`
-            }
-          ],
-          isError: true
-        };
+        return formatToolError('fetching revenue', error);
       }
     }
   );
 
   // Tool: Get order count
-  server.tool(
+  server.registerTool(
     "get_order_count",
-    "Get the number of orders for a given date range",
     {
-      date_range: z.string().describe("Date range expression (e.g., 'today', 'yesterday', 'last week', 'this month', 'YTD', or a specific date range like '2023-01-01 to 2023-01-31')"),
-      status: z.string().optional().describe("Filter by order status (e.g., 'processing', 'complete', 'pending')")
+      description: "Get the number of orders for a given date range",
+      inputSchema: {
+        date_range: z.string().describe("Date range expression (e.g., 'today', 'last week', 'last 30 days', 'MTD', 'Q1 2025', 'March 2025', 'last fiscal year', 'since 2025-01-01', 'this month same period last year', or a specific date range like '2023-01-01 to 2023-01-31')"),
+        status: z.string().optional().describe("Filter by order status (e.g., 'processing', 'complete', 'pending')")
+      },
+      outputSchema: OUTPUT_SCHEMAS.orderCount
     },
     async ({ date_range, status }) => {
       try {
-        // Parse the date range expression
-        const dateRange = parseDateExpression(date_range);
+        // Parse the date range expression in the store's time zone
+        const dateRange = parseDateExpression(date_range, await getStoreTimezone());
 
         // Build the search criteria for the date range
-        let searchCriteria = buildDateRangeFilter('created_at', dateRange.startDate, dateRange.endDate);
+        const criteria = buildDateRangeFilter('created_at', dateRange.startDate, dateRange.endDate);
 
         // Add status filter if provided
         if (status) {
-          searchCriteria += `&searchCriteria[filter_groups][2][filters][0][field]=status&` +
-                            `searchCriteria[filter_groups][2][filters][0][value]=${encodeURIComponent(status)}&` +
-                            `searchCriteria[filter_groups][2][filters][0][condition_type]=eq`;
+          criteria.addFilter('status', status);
         }
 
-        // Add pagination to get all results
-        searchCriteria += `&searchCriteria[pageSize]=1&searchCriteria[currentPage]=1`;
+        // Only the total count is needed
+        criteria.setPageSize(1).setCurrentPage(1);
 
         // Make the API call to get orders
-        const ordersData = await callMagentoApi(`/orders?${searchCriteria}`);
+        const ordersData = await callMagentoApi(`/orders?${criteria.build()}`);
 
         // Format the response
         const result = {
           query: {
             date_range: dateRange.description,
             status: status || 'All',
-            period: {
-              start_date: format(dateRange.startDate, 'yyyy-MM-dd'),
-              end_date: format(dateRange.endDate, 'yyyy-MM-dd')
-            }
+            period: describeDateRange(dateRange)
           },
           result: {
             order_count: ordersData.total_count || 0
           }
         };
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2)
-            }
-          ]
-        };
+        return structuredResult(
+          `${result.result.order_count} orders ${dateRange.description} (${result.query.period.start_date} to ${result.query.period.end_date})`,
+          result
+        );
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error fetching order count: ${error.message}`
-            }
-          ],
-          isError: true
-        };
+        return formatToolError('fetching order count', error);
       }
     }
   );
 
   // Tool: Get product sales
-  server.tool(
+  server.registerTool(
     "get_product_sales",
-    "Get statistics about the quantity of products sold in a given date range",
     {
-      date_range: z.string().describe("Date range expression (e.g., 'today', 'yesterday', 'last week', 'this month', 'YTD', or a specific date range like '2023-01-01 to 2023-01-31')"),
-      status: z.string().optional().describe("Filter by order status (e.g., 'processing', 'complete', 'pending')"),
-      country: z.string().optional().describe("Filter by country code (e.g., 'US', 'NL', 'GB') or country name (e.g., 'United States', 'The Netherlands', 'United Kingdom')")
+      description: "Get statistics about the quantity of products sold in a given date range",
+      inputSchema: {
+        date_range: z.string().describe("Date range expression (e.g., 'today', 'last week', 'last 30 days', 'MTD', 'Q1 2025', 'March 2025', 'last fiscal year', 'since 2025-01-01', 'this month same period last year', or a specific date range like '2023-01-01 to 2023-01-31')"),
+        status: z.string().optional().describe("Filter by order status (e.g., 'processing', 'complete', 'pending')"),
+        country: z.string().optional().describe("Filter by country code (e.g., 'US', 'NL', 'GB') or country name (e.g., 'United States', 'The Netherlands', 'United Kingdom')"),
+        amount_basis: amountBasisSchema()
+      },
+      outputSchema: OUTPUT_SCHEMAS.productSales
     },
-    async ({ date_range, status, country }) => {
+    async ({ date_range, status, country, amount_basis = 'base' }) => {
       try {
-        // Parse the date range expression
-        const dateRange = parseDateExpression(date_range);
+        // Parse the date range expression in the store's time zone
+        const dateRange = parseDateExpression(date_range, await getStoreTimezone());
 
         // Build the search criteria for the date range
-        let searchCriteria = buildDateRangeFilter('created_at', dateRange.startDate, dateRange.endDate);
+        const criteria = buildDateRangeFilter('created_at', dateRange.startDate, dateRange.endDate);
 
         // Add status filter if provided
         if (status) {
-          searchCriteria += `&searchCriteria[filter_groups][2][filters][0][field]=status&` +
-                            `searchCriteria[filter_groups][2][filters][0][value]=${encodeURIComponent(status)}&` +
-                            `searchCriteria[filter_groups][2][filters][0][condition_type]=eq`;
+          criteria.addFilter('status', status);
         }
 
-        // Fetch all orders using the helper function
-        const allOrders = await fetchAllPages('/orders', searchCriteria);
-
-        // Filter orders by country if provided
-        let filteredOrders = allOrders;
-        if (country) {
-          // Normalize country input
-          const normalizedCountry = normalizeCountry(country);
-
-          // Filter orders by country
-          filteredOrders = filteredOrders.filter(order => {
-            // Check billing address country
-            const billingCountry = order.billing_address?.country_id;
+        // Normalize country input
+        const normalizedCountry = country ? normalizeCountry(country) : null;
 
-            // Check shipping address country
-            const shippingCountry = order.extension_attributes?.shipping_assignments?.[0]?.shipping?.address?.country_id;
-
-            // Match if either billing or shipping country matches
-            return normalizedCountry.includes(billingCountry) || normalizedCountry.includes(shippingCountry);
-          });
-        }
-
-        // Calculate statistics
-        let totalOrders = filteredOrders.length;
+        // Calculate statistics, page by page; product revenue is converted to the base currency order by order
+        const storeCurrency = await getCurrencyInfo();
+        const totals = {};
+        let currencyInfo;
+        let totalOrders = 0;
         let totalOrderItems = 0;
         let totalProductQuantity = 0;
-        let totalRevenue = 0;
         let productCounts = {};
 
-        if (filteredOrders && Array.isArray(filteredOrders)) {
+        for await (const orders of iteratePages('/orders', criteria.build())) {
+          currencyInfo ??= resolveCurrencyInfo(storeCurrency, orders);
+
+          // Filter orders by country if provided
+          const filteredOrders = normalizedCountry
+            ? orders.filter(order => matchesCountry(order, normalizedCountry))
+            : orders;
+
+          totalOrders += filteredOrders.length;
+
           filteredOrders.forEach(order => {
             // Add to total revenue
-            totalRevenue += parseFloat(order.grand_total || 0);
+            addOrderToTotals(totals, order, amount_basis, currencyInfo.baseCurrency);
+            const orderCurrency = currencyOf(order, amount_basis, currencyInfo.baseCurrency);
 
             // Process order items
             if (order.items && Array.isArray(order.items)) {
@@ -241,7 +369,8 @@ function registerAnalyticsTools(server) {
                 }
 
                 productCounts[item.sku].quantity += quantity;
-                productCounts[item.sku].revenue += parseFloat(item.price || 0) * quantity;
+                productCounts[item.sku].revenue +=
+                  toBaseCurrency(amountOf(item, 'price', amount_basis) * quantity, orderCurrency, currencyInfo) ?? 0;
               });
             }
           });
@@ -253,118 +382,94 @@ function registerAnalyticsTools(server) {
             sku: product.sku,
             name: product.name,
             quantity: product.quantity,
-            revenue: parseFloat(product.revenue.toFixed(2))
+            revenue: roundAmount(product.revenue)
           }))
           .sort((a, b) => b.quantity - a.quantity)
           .slice(0, 10); // Top 10 products
 
+        const { revenue: totalRevenue, currency, by_currency, unconverted_currencies } =
+          convertRevenueTotals(totals, true, currencyInfo);
+
         // Format the response
         const result = {
           query: {
             date_range: dateRange.description,
             status: status || 'All',
             country: country || 'All',
-            period: {
-              start_date: format(dateRange.startDate, 'yyyy-MM-dd'),
-              end_date: format(dateRange.endDate, 'yyyy-MM-dd')
-            }
+            amount_basis,
+            period: describeDateRange(dateRange)
           },
           result: {
             total_orders: totalOrders,
             total_order_items: totalOrderItems,
             total_product_quantity: totalProductQuantity,
             average_products_per_order: totalOrders > 0 ? parseFloat((totalProductQuantity / totalOrders).toFixed(2)) : 0,
-            total_revenue: parseFloat(totalRevenue.toFixed(2)),
+            total_revenue: totalRevenue,
+            currency,
             average_revenue_per_product: totalProductQuantity > 0 ? parseFloat((totalRevenue / totalProductQuantity).toFixed(2)) : 0,
-            top_products: topProducts
+            top_products: topProducts,
+            by_currency,
+            ...(unconverted_currencies ? { unconverted_currencies } : {})
           }
         };
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2)
-            }
-          ]
-        };
+        const summary = [
+          `${totalProductQuantity} products sold in ${totalOrders} orders ${dateRange.description}` +
+            `${country ? ` in ${country}` : ''}, revenue ${formatAmount(totalRevenue, currency)}` +
+            `${describeCurrencies(result.result)}.`,
+          ...topProducts.map(product => `- ${product.sku}: ${product.quantity} sold, revenue ${formatAmount(product.revenue, currency)}`)
+        ].join('\n');
+        return structuredResult(summary, result);
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error fetching product sales: ${error.message}`
-            }
-          ],
-          isError: true
-        };
+        return formatToolError('fetching product sales', error);
       }
     }
   );
 
   // Tool: Get revenue by country
-  server.tool(
+  server.registerTool(
     "get_revenue_by_country",
-    "Get revenue filtered by country for a given date range",
     {
-      date_range: z.string().describe("Date range expression (e.g., 'today', 'yesterday', 'last week', 'this month', 'YTD', or a specific date range like '2023-01-01 to 2023-01-31')"),
-      country: z.string().describe("Country code (e.g., 'US', 'NL', 'GB') or country name (e.g., 'United States', 'The Netherlands', 'United Kingdom')"),
-      status: z.string().optional().describe("Filter by order status (e.g., 'processing', 'complete', 'pending')"),
-      include_tax: z.boolean().optional().describe("Whether to include tax in the revenue calculation (default: true)")
+      description: "Get revenue filtered by country for a given date range",
+      inputSchema: {
+        date_range: z.string().describe("Date range expression (e.g., 'today', 'last week', 'last 30 days', 'MTD', 'Q1 2025', 'March 2025', 'last fiscal year', 'since 2025-01-01', 'this month same period last year', or a specific date range like '2023-01-01 to 2023-01-31')"),
+        country: z.string().describe("Country code (e.g., 'US', 'NL', 'GB') or country name (e.g., 'United States', 'The Netherlands', 'United Kingdom')"),
+        status: z.string().optional().describe("Filter by order status (e.g., 'processing', 'complete', 'pending')"),
+        include_tax: z.boolean().optional().describe("Whether to include tax in the revenue calculation (default: true)"),
+        amount_basis: amountBasisSchema()
+      },
+      outputSchema: OUTPUT_SCHEMAS.revenueByCountry
     },
-    async ({ date_range, country, status, include_tax = true }) => {
+    async ({ date_range, country, status, include_tax = true, amount_basis = 'base' }) => {
       try {
-        // Parse the date range expression
-        const dateRange = parseDateExpression(date_range);
+        // Parse the date range expression in the store's time zone
+        const dateRange = parseDateExpression(date_range, await getStoreTimezone());
 
         // Normalize country input (handle both country codes and names)
         const normalizedCountry = normalizeCountry(country);
 
         // Build the search criteria for the date range
-        let searchCriteria = buildDateRangeFilter('created_at', dateRange.startDate, dateRange.endDate);
+        const criteria = buildDateRangeFilter('created_at', dateRange.startDate, dateRange.endDate);
 
         // Add status filter if provided
         if (status) {
-          searchCriteria += `&searchCriteria[filter_groups][2][filters][0][field]=status&` +
-                            `searchCriteria[filter_groups][2][filters][0][value]=${encodeURIComponent(status)}&` +
-                            `searchCriteria[filter_groups][2][filters][0][condition_type]=eq`;
+          criteria.addFilter('status', status);
         }
 
-        // Fetch all orders using the helper function
-        const allOrders = await fetchAllPages('/orders', searchCriteria);
-
-        // Filter orders by country and calculate revenue
-        let totalRevenue = 0;
-        let totalTax = 0;
+        // Filter orders by country and calculate revenue per currency, page by page
+        const storeCurrency = await getCurrencyInfo();
+        const totals = {};
+        let currencyInfo;
         let orderCount = 0;
-        let filteredOrders = [];
-
-        if (allOrders && Array.isArray(allOrders)) {
-          // Filter orders by country
-          filteredOrders = allOrders.filter(order => {
-            // Check billing address country
-            const billingCountry = order.billing_address?.country_id;
 
-            // Check shipping address country
-            const shippingCountry = order.extension_attributes?.shipping_assignments?.[0]?.shipping?.address?.country_id;
+        for await (const orders of iteratePages('/orders', criteria.build())) {
+          currencyInfo ??= resolveCurrencyInfo(storeCurrency, orders);
+          const filteredOrders = orders.filter(order => matchesCountry(order, normalizedCountry));
 
-            // Match if either billing or shipping country matches
-            return normalizedCountry.includes(billingCountry) || normalizedCountry.includes(shippingCountry);
-          });
-
-          orderCount = filteredOrders.length;
-
-          // Calculate revenue for filtered orders
-          filteredOrders.forEach(order => {
-            totalRevenue += parseFloat(order.grand_total || 0);
-            totalTax += parseFloat(order.tax_amount || 0);
-          });
+          orderCount += filteredOrders.length;
+          filteredOrders.forEach(order => addOrderToTotals(totals, order, amount_basis, currencyInfo.baseCurrency));
         }
 
-        // Adjust revenue if tax should be excluded
-        const revenueWithoutTax = totalRevenue - totalTax;
-        const finalRevenue = include_tax ? totalRevenue : revenueWithoutTax;
-
         // Format the response
         const result = {
           query: {
@@ -373,88 +478,66 @@ function registerAnalyticsTools(server) {
             normalized_country: normalizedCountry.join(', '),
             status: status || 'All',
             include_tax: include_tax,
-            period: {
-              start_date: format(dateRange.startDate, 'yyyy-MM-dd'),
-              end_date: format(dateRange.endDate, 'yyyy-MM-dd')
-            }
+            amount_basis,
+            period: describeDateRange(dateRange)
           },
           result: {
-            revenue: parseFloat(finalRevenue.toFixed(2)),
-            currency: 'USD', // This should be dynamically determined from the store configuration
             order_count: orderCount,
-            average_order_value: orderCount > 0 ? parseFloat((finalRevenue / orderCount).toFixed(2)) : 0,
-            tax_amount: parseFloat(totalTax.toFixed(2))
+            ...convertRevenueTotals(totals, include_tax, currencyInfo)
           }
         };
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2)
-            }
-          ]
-        };
+        const summary = `Revenue ${dateRange.description} in ${country} (${result.query.normalized_country}): ` +
+          `${formatAmount(result.result.revenue, result.result.currency)} ${include_tax ? 'incl.' : 'excl.'} tax from ${orderCount} orders` +
+          describeCurrencies(result.result);
+        return structuredResult(summary, result);
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error fetching revenue by country: ${error.message}`
-            }
-          ],
-          isError: true
-        };
+        return formatToolError('fetching revenue by country', error);
       }
     }
   );
 
   // Tool: Get customer ordered products by email
-  server.tool(
+  server.registerTool(
     "get_customer_ordered_products_by_email",
-    "Get all ordered products for a customer by email address",
     {
-      email: z.string().email().describe("The email address of the customer")
+      description: "Get all ordered products for a customer by email address",
+      inputSchema: {
+        email: z.string().email().describe("The email address of the customer")
+      },
+      outputSchema: OUTPUT_SCHEMAS.customerOrderedProducts
     },
     async ({ email }) => {
       try {
         // Step 1: Find the customer by email
-        const searchCriteria = `searchCriteria[filter_groups][0][filters][0][field]=email&` +
-                              `searchCriteria[filter_groups][0][filters][0][value]=${encodeURIComponent(email)}&` +
-                              `searchCriteria[filter_groups][0][filters][0][condition_type]=eq`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .addFilter('email', email)
+          .build();
 
         const customersData = await callMagentoApi(`/customers/search?${searchCriteria}`);
 
         if (!customersData.items || customersData.items.length === 0) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `No customer found with email: ${email}`
-              }
-            ]
-          };
+          return structuredResult(`No customer found with email: ${email}`, { customer: null, orders: [] });
         }
 
         const customer = customersData.items[0];
+        const customerSummary = {
+          id: customer.id,
+          email: customer.email,
+          firstname: customer.firstname,
+          lastname: customer.lastname
+        };
 
         // Step 2: Get the customer's orders
-        const orderSearchCriteria = `searchCriteria[filter_groups][0][filters][0][field]=customer_email&` +
-                                   `searchCriteria[filter_groups][0][filters][0][value]=${encodeURIComponent(email)}&` +
-                                   `searchCriteria[filter_groups][0][filters][0][condition_type]=eq`;
+        const orderSearchCriteria = new SearchCriteriaBuilder()
+          .addFilter('customer_email', email)
+          .build();
 
         // Fetch all orders for the customer using the helper function
         const allCustomerOrders = await fetchAllPages('/orders', orderSearchCriteria);
 
         if (!allCustomerOrders || allCustomerOrders.length === 0) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `No orders found for customer with email: ${email}`
-              }
-            ]
-          };
+          return structuredResult(`No orders found for customer with email: ${email}`, { customer: customerSummary, orders: [] });
         }
 
         // Step 3: Extract and format the ordered products
@@ -472,38 +555,20 @@ function registerAnalyticsTools(server) {
           }
         });
 
-        // Get detailed product information for each SKU
-        const productPromises = Array.from(productSkus).map(sku =>
-          callMagentoApi(`/products/${sku}`)
-            .then(product => formatProduct(product))
-            .catch(err => ({ sku, error: err.message }))
-        );
-
-        const productDetails = await Promise.all(productPromises);
-
-        // Create a map of SKU to product details for easy lookup
-        const productMap = {};
-        productDetails.forEach(product => {
-          if (product.sku) {
-            productMap[product.sku] = product;
-          }
-        });
+        // Get detailed product information for every SKU, in batched searches
+        const productMap = await fetchProductsBySku(Array.from(productSkus));
 
         // Format the result with order information and product details
         const result = {
-          customer: {
-            id: customer.id,
-            email: customer.email,
-            firstname: customer.firstname,
-            lastname: customer.lastname
-          },
+          customer: customerSummary,
           orders: allCustomerOrders.map(order => ({
             order_id: order.entity_id,
             increment_id: order.increment_id,
             created_at: order.created_at,
             status: order.status,
             total: order.grand_total,
-            items: order.items.map(item => {
+            currency: order.order_currency_code,
+            items: (order.items || []).map(item => {
               const productDetail = productMap[item.sku] || {};
               return {
                 sku: item.sku,
@@ -516,24 +581,15 @@ function registerAnalyticsTools(server) {
           }))
         };
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2)
-            }
-          ]
-        };
+        const productCount = new Set(result.orders.flatMap(order => order.items.map(item => item.sku))).size;
+        const summary = [
+          `${customer.firstname} ${customer.lastname} <${customer.email}> ordered ${productCount} distinct products in ${result.orders.length} orders.`,
+          ...result.orders.map(order => `- #${order.increment_id} (${order.created_at}, ${order.status}): ` +
+            order.items.map(item => `${item.qty_ordered} x ${item.sku}`).join(', '))
+        ].join('\n');
+        return structuredResult(summary, result);
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error fetching customer ordered products: ${error.message}`
-            }
-          ],
-          isError: true
-        };
+        return formatToolError('fetching customer ordered products', error);
       }
     }
   );
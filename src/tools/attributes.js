@@ -1,5 +1,8 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
 
 /**
  * Register product attribute tools
@@ -24,10 +27,7 @@ export function registerAttributeTools(server) {
           content: [{ type: "text", text: JSON.stringify(attribute, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching attribute: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching attribute', error);
       }
     }
   );
@@ -41,50 +41,37 @@ export function registerAttributeTools(server) {
       frontend_input: z.string().optional().describe("Filter by frontend input type (text, textarea, select, multiselect, boolean, etc.)"),
       is_searchable: z.boolean().optional().describe("Filter by searchable flag"),
       is_filterable: z.boolean().optional().describe("Filter by filterable flag"),
-      page_size: z.number().optional().describe("Number of results per page (default: 50)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 50)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ attribute_code, frontend_input, is_searchable, is_filterable, page_size = 50, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (attribute_code) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=attribute_code` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=%25${encodeURIComponent(attribute_code)}%25` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=like`;
-          filterIndex++;
+          criteria.addFilter('attribute_code', `%${attribute_code}%`, 'like');
         }
 
         if (frontend_input) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=frontend_input` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(frontend_input)}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('frontend_input', frontend_input);
         }
 
         if (is_searchable !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=is_searchable` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${is_searchable ? 1 : 0}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('is_searchable', is_searchable);
         }
 
         if (is_filterable !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=is_filterable` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${is_filterable ? 1 : 0}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
+          criteria.addFilter('is_filterable', is_filterable);
         }
 
-        const attributes = await callMagentoApi(`/products/attributes?${searchCriteria}`);
+        const attributes = await callMagentoApi(`/products/attributes?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(attributes, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(attributes, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching attributes: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching attributes', error);
       }
     }
   );
@@ -103,10 +90,7 @@ export function registerAttributeTools(server) {
           content: [{ type: "text", text: JSON.stringify(options, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching attribute options: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching attribute options', error);
       }
     }
   );
@@ -135,10 +119,7 @@ export function registerAttributeTools(server) {
           content: [{ type: "text", text: `Attribute option added successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error adding attribute option: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('adding attribute option', error);
       }
     }
   );
@@ -148,21 +129,21 @@ export function registerAttributeTools(server) {
     "get_attribute_sets",
     "Get all product attribute sets",
     {
-      page_size: z.number().optional().describe("Number of results per page (default: 50)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 50)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ page_size = 50, current_page = 1 }) => {
       try {
-        const searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page)
+          .build();
         const sets = await callMagentoApi(`/products/attribute-sets/sets/list?${searchCriteria}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(sets, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(sets, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching attribute sets: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching attribute sets', error);
       }
     }
   );
@@ -181,10 +162,7 @@ export function registerAttributeTools(server) {
           content: [{ type: "text", text: JSON.stringify(attributes, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching attribute set attributes: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching attribute set attributes', error);
       }
     }
   );
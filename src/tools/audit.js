@@ -0,0 +1,104 @@
+import { z } from 'zod';
+import { callMagentoApi } from '../utils/api-client.js';
+import { readAuditEntries } from '../utils/audit-log.js';
+import { UNDOABLE_TOOLS, buildRestorePayload, isModifiedSince } from '../utils/undo.js';
+import { getContext } from '../utils/request-context.js';
+import { matchesGlob } from '../utils/policy.js';
+import { parseDateExpression } from '../utils/date-utils.js';
+import { formatToolError } from '../utils/errors.js';
+
+/**
+ * Register audit log and undo tools
+ * @param {object} server - MCP server instance
+ */
+function registerAuditTools(server) {
+  // Tool: Query the audit log
+  server.tool(
+    "get_audit_log",
+    "Get recent changes made through this server (mutating tool calls) from the audit log, newest first",
+    {
+      tool: z.string().optional().describe("Only calls of tools matching this name or glob pattern (e.g., 'delete_*')"),
+      entity: z.string().optional().describe("Only calls touching this entity (SKU, order ID, customer ID, page ID, ...)"),
+      date_range: z.string().optional().describe("Date range expression (e.g., 'today', 'last 7 days', 'this month', or a specific date range like '2023-01-01 to 2023-01-31')"),
+      outcome: z.enum(['success', 'error', 'dry_run', 'confirmation_required', 'rejected']).optional().describe("Only calls with this outcome"),
+      all_instances: z.boolean().optional().describe("Include changes of every Magento instance instead of only the selected one (default: false)"),
+      limit: z.number().int().min(1).optional().describe("Maximum number of entries to return (default: 20)")
+    },
+    async ({ tool, entity, date_range, outcome, all_instances = false, limit = 20 }) => {
+      try {
+        const dateRange = date_range ? parseDateExpression(date_range) : null;
+
+        const entries = await readAuditEntries({
+          tool: tool ? toolName => matchesGlob(toolName, tool) : undefined,
+          instance: all_instances ? undefined : getContext().instance,
+          entity,
+          since: dateRange?.startDate,
+          until: dateRange?.endDate,
+          outcome,
+          limit
+        });
+
+        return {
+          content: [{ type: "text", text: JSON.stringify({ count: entries.length, entries }, null, 2) }]
+        };
+      } catch (error) {
+        return formatToolError('reading audit log', error);
+      }
+    }
+  );
+
+  // Tool: Undo a change
+  server.tool(
+    "undo_change",
+    `Restore the values an earlier change overwrote, using the snapshot in the audit log. Supported tools: ${UNDOABLE_TOOLS.join(', ')}. Refused if the entity was modified again since.`,
+    {
+      change_id: z.string().describe("ID of the change (audit log entry ID, see get_audit_log)")
+    },
+    async ({ change_id }) => {
+      try {
+        const [change] = await readAuditEntries({ id: change_id, limit: 1 });
+
+        if (!change) {
+          throw new Error(`Change '${change_id}' not found in the audit log`);
+        }
+        if (!UNDOABLE_TOOLS.includes(change.tool)) {
+          throw new Error(`Changes made by ${change.tool} cannot be undone (supported: ${UNDOABLE_TOOLS.join(', ')})`);
+        }
+        if (change.outcome !== 'success') {
+          throw new Error(`Change '${change_id}' did not modify anything (outcome: ${change.outcome})`);
+        }
+        if (change.instance !== getContext().instance) {
+          throw new Error(`Change '${change_id}' was made on Magento instance '${change.instance}'; call undo_change with instance '${change.instance}'`);
+        }
+
+        const write = change.requests.find(request => request.method === 'PUT' && !request.error);
+        if (!write?.before || write.before.error) {
+          throw new Error(`Change '${change_id}' has no snapshot of the previous values`);
+        }
+
+        // Restore in the store view scope the change was written to
+        const storeCode = change.arguments?.store_code ?? null;
+        const current = await callMagentoApi(write.endpoint, 'GET', null, { cache: false, storeCode });
+        if (isModifiedSince(write.response, write.payload, current)) {
+          throw new Error(`${write.endpoint} was modified after change '${change_id}'; refusing to overwrite the newer values`);
+        }
+
+        const restorePayload = buildRestorePayload(write.payload, write.before);
+        const result = await callMagentoApi(write.endpoint, 'PUT', restorePayload, { storeCode });
+
+        return {
+          content: [{
+            type: "text",
+            text: `Change ${change_id} (${change.tool}) undone. Restored values:\n${JSON.stringify(restorePayload, null, 2)}\n\nResult:\n${JSON.stringify(result, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        return formatToolError('undoing change', error);
+      }
+    }
+  );
+}
+
+export {
+  registerAuditTools
+};
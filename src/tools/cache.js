@@ -0,0 +1,37 @@
+import { z } from 'zod';
+import { flushCache } from '../utils/response-cache.js';
+import { getContext } from '../utils/request-context.js';
+import { formatToolError } from '../utils/errors.js';
+
+/**
+ * Register response cache tools
+ * @param {object} server - MCP server instance
+ */
+function registerCacheTools(server) {
+  // Tool: Flush response cache
+  server.tool(
+    "flush_cache",
+    "Flush cached responses of read-only reference endpoints (store config, countries, attribute sets, tax classes, ...)",
+    {
+      endpoint_prefix: z.string().optional().describe("Only flush endpoints starting with this prefix (e.g., '/store')"),
+      all_instances: z.boolean().optional().describe("Flush the cache of every Magento instance instead of only the selected one (default: false)")
+    },
+    async ({ endpoint_prefix, all_instances = false }) => {
+      try {
+        const removed = flushCache({
+          instance: all_instances ? undefined : getContext().instance,
+          endpointPrefix: endpoint_prefix
+        });
+        return {
+          content: [{ type: "text", text: `Cache flushed. ${removed} cached response(s) removed.` }]
+        };
+      } catch (error) {
+        return formatToolError('flushing cache', error);
+      }
+    }
+  );
+}
+
+export {
+  registerCacheTools
+};
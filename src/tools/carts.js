@@ -1,7 +1,9 @@
 import { z } from 'zod';
 import { callMagentoApi, fetchAllPages } from '../utils/api-client.js';
-import { parseDateExpression, buildDateRangeFilter } from '../utils/date-utils.js';
-import { format } from 'date-fns';
+import { buildDayRangeFilter, formatDateForMagento } from '../utils/date-utils.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
 
 /**
  * Register all cart-related tools
@@ -23,10 +25,7 @@ function registerCartTools(server) {
           content: [{ type: "text", text: JSON.stringify(cart, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching cart: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching cart', error);
       }
     }
   );
@@ -41,57 +40,36 @@ function registerCartTools(server) {
       is_active: z.boolean().optional().describe("Filter by active status"),
       created_at_from: z.string().optional().describe("Filter carts created from this date (YYYY-MM-DD)"),
       created_at_to: z.string().optional().describe("Filter carts created until this date (YYYY-MM-DD)"),
-      page_size: z.number().optional().describe("Number of results per page (default: 20)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ customer_email, customer_id, is_active, created_at_from, created_at_to, page_size = 20, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (customer_email) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=customer_email` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(customer_email)}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('customer_email', customer_email);
         }
 
         if (customer_id !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=customer_id` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${customer_id}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('customer_id', customer_id);
         }
 
         if (is_active !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=is_active` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${is_active ? 1 : 0}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
-        }
-
-        if (created_at_from) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(created_at_from + ' 00:00:00')}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=gteq`;
-          filterIndex++;
+          criteria.addFilter('is_active', is_active);
         }
 
-        if (created_at_to) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(created_at_to + ' 23:59:59')}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=lteq`;
-        }
+        // Days are calendar days in the store's time zone
+        await buildDayRangeFilter('created_at', created_at_from, created_at_to, criteria);
 
-        const carts = await callMagentoApi(`/carts/search?${searchCriteria}`);
+        const carts = await callMagentoApi(`/carts/search?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(carts, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(carts, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching carts: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching carts', error);
       }
     }
   );
@@ -110,10 +88,7 @@ function registerCartTools(server) {
           content: [{ type: "text", text: JSON.stringify(items, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching cart items: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching cart items', error);
       }
     }
   );
@@ -137,10 +112,7 @@ function registerCartTools(server) {
             content: [{ type: "text", text: `Store configurations (shipping methods may vary by cart):\n${JSON.stringify(config, null, 2)}` }]
           };
         } catch (e) {
-          return {
-            content: [{ type: "text", text: `Error fetching shipping methods: ${error.message}` }],
-            isError: true
-          };
+          return formatToolError('fetching shipping methods', error);
         }
       }
     }
@@ -158,10 +130,7 @@ function registerCartTools(server) {
           content: [{ type: "text", text: JSON.stringify(methods, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching payment methods: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching payment methods', error);
       }
     }
   );
@@ -172,28 +141,24 @@ function registerCartTools(server) {
     "Get abandoned carts (active carts older than specified days)",
     {
       days_old: z.number().optional().describe("Minimum days since cart was updated (default: 7)"),
-      page_size: z.number().optional().describe("Number of results per page (default: 50)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 50)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ days_old = 7, page_size = 50, current_page = 1 }) => {
       try {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - days_old);
-        const formattedDate = format(cutoffDate, 'yyyy-MM-dd HH:mm:ss');
-
-        const searchCriteria = `searchCriteria[filter_groups][0][filters][0][field]=is_active` +
-                              `&searchCriteria[filter_groups][0][filters][0][value]=1` +
-                              `&searchCriteria[filter_groups][0][filters][0][condition_type]=eq` +
-                              `&searchCriteria[filter_groups][1][filters][0][field]=updated_at` +
-                              `&searchCriteria[filter_groups][1][filters][0][value]=${encodeURIComponent(formattedDate)}` +
-                              `&searchCriteria[filter_groups][1][filters][0][condition_type]=lteq` +
-                              `&searchCriteria[filter_groups][2][filters][0][field]=items_count` +
-                              `&searchCriteria[filter_groups][2][filters][0][value]=0` +
-                              `&searchCriteria[filter_groups][2][filters][0][condition_type]=gt` +
-                              `&searchCriteria[pageSize]=${page_size}` +
-                              `&searchCriteria[currentPage]=${current_page}` +
-                              `&searchCriteria[sortOrders][0][field]=updated_at` +
-                              `&searchCriteria[sortOrders][0][direction]=DESC`;
+        // Magento stores updated_at in UTC
+        const formattedDate = formatDateForMagento(cutoffDate);
+
+        const searchCriteria = new SearchCriteriaBuilder()
+          .addFilter('is_active', 1)
+          .addFilter('updated_at', formattedDate, 'lteq')
+          .addFilter('items_count', 0, 'gt')
+          .addSortOrder('updated_at', 'DESC')
+          .setPageSize(page_size)
+          .setCurrentPage(current_page)
+          .build();
 
         const carts = await callMagentoApi(`/carts/search?${searchCriteria}`);
 
@@ -216,13 +181,10 @@ function registerCartTools(server) {
         };
 
         return {
-          content: [{ type: "text", text: JSON.stringify(formattedCarts, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(formattedCarts, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching abandoned carts: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching abandoned carts', error);
       }
     }
   );
@@ -1,5 +1,8 @@
 import { z } from 'zod';
 import { callMagentoApi, fetchAllPages } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
 
 /**
  * Helper function to format search results for products
@@ -43,10 +46,7 @@ function registerCategoryTools(server) {
           content: [{ type: "text", text: JSON.stringify(categoryTree, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching category tree: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching category tree', error);
       }
     }
   );
@@ -65,10 +65,7 @@ function registerCategoryTools(server) {
           content: [{ type: "text", text: JSON.stringify(category, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching category: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching category', error);
       }
     }
   );
@@ -81,43 +78,33 @@ function registerCategoryTools(server) {
       parent_id: z.number().optional().describe("Filter by parent category ID"),
       name: z.string().optional().describe("Filter by category name (partial match)"),
       is_active: z.boolean().optional().describe("Filter by active status"),
-      page_size: z.number().optional().describe("Number of results per page (default: 20)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ parent_id, name, is_active, page_size = 20, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (parent_id !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=parent_id` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${parent_id}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('parent_id', parent_id);
         }
 
         if (name) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=name` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=%25${encodeURIComponent(name)}%25` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=like`;
-          filterIndex++;
+          criteria.addFilter('name', `%${name}%`, 'like');
         }
 
         if (is_active !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=is_active` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${is_active ? 1 : 0}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
+          criteria.addFilter('is_active', is_active);
         }
 
-        const categories = await callMagentoApi(`/categories/list?${searchCriteria}`);
+        const categories = await callMagentoApi(`/categories/list?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(categories, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(categories, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error listing categories: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('listing categories', error);
       }
     }
   );
@@ -128,26 +115,23 @@ function registerCategoryTools(server) {
     "Get all products assigned to a specific category",
     {
       category_id: z.number().describe("The ID of the category"),
-      page_size: z.number().optional().describe("Number of results per page (default: 20)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ category_id, page_size = 20, current_page = 1 }) => {
       try {
-        const searchCriteria = `searchCriteria[filter_groups][0][filters][0][field]=category_id` +
-                              `&searchCriteria[filter_groups][0][filters][0][value]=${category_id}` +
-                              `&searchCriteria[filter_groups][0][filters][0][condition_type]=eq` +
-                              `&searchCriteria[pageSize]=${page_size}` +
-                              `&searchCriteria[currentPage]=${current_page}`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .addFilter('category_id', category_id)
+          .setPageSize(page_size)
+          .setCurrentPage(current_page)
+          .build();
 
         const products = await callMagentoApi(`/products?${searchCriteria}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(formatSearchResults(products), null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(formatSearchResults(products), page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching products in category: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching products in category', error);
       }
     }
   );
@@ -188,10 +172,7 @@ function registerCategoryTools(server) {
           content: [{ type: "text", text: `Category created successfully:\n${JSON.stringify(result, null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error creating category: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('creating category', error);
       }
     }
   );
@@ -225,10 +206,7 @@ function registerCategoryTools(server) {
           content: [{ type: "text", text: `Category updated successfully:\n${JSON.stringify(result, null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error updating category: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('updating category', error);
       }
     }
   );
@@ -247,10 +225,7 @@ function registerCategoryTools(server) {
           content: [{ type: "text", text: `Category ${category_id} deleted successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error deleting category: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('deleting category', error);
       }
     }
   );
@@ -276,10 +251,7 @@ function registerCategoryTools(server) {
           content: [{ type: "text", text: `Category moved successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error moving category: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('moving category', error);
       }
     }
   );
@@ -1,5 +1,8 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
 
 /**
  * Register all CMS-related tools with the MCP server
@@ -24,10 +27,7 @@ export function registerCmsTools(server) {
           content: [{ type: "text", text: JSON.stringify(block, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching CMS block: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching CMS block', error);
       }
     }
   );
@@ -40,43 +40,33 @@ export function registerCmsTools(server) {
       identifier: z.string().optional().describe("Filter by block identifier"),
       title: z.string().optional().describe("Filter by title (partial match)"),
       is_active: z.boolean().optional().describe("Filter by active status"),
-      page_size: z.number().optional().describe("Number of results per page (default: 20)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ identifier, title, is_active, page_size = 20, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (identifier) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=identifier` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(identifier)}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('identifier', identifier);
         }
 
         if (title) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=title` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=%25${encodeURIComponent(title)}%25` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=like`;
-          filterIndex++;
+          criteria.addFilter('title', `%${title}%`, 'like');
         }
 
         if (is_active !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=is_active` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${is_active ? 1 : 0}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
+          criteria.addFilter('is_active', is_active);
         }
 
-        const blocks = await callMagentoApi(`/cmsBlock/search?${searchCriteria}`);
+        const blocks = await callMagentoApi(`/cmsBlock/search?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(blocks, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(blocks, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching CMS blocks: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching CMS blocks', error);
       }
     }
   );
@@ -109,10 +99,7 @@ export function registerCmsTools(server) {
           content: [{ type: "text", text: `CMS block created successfully:\n${JSON.stringify(result, null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error creating CMS block: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('creating CMS block', error);
       }
     }
   );
@@ -148,10 +135,7 @@ export function registerCmsTools(server) {
           content: [{ type: "text", text: `CMS block updated successfully:\n${JSON.stringify(result, null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error updating CMS block: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('updating CMS block', error);
       }
     }
   );
@@ -170,10 +154,7 @@ export function registerCmsTools(server) {
           content: [{ type: "text", text: `CMS block ${block_id} deleted successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error deleting CMS block: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('deleting CMS block', error);
       }
     }
   );
@@ -196,10 +177,7 @@ export function registerCmsTools(server) {
           content: [{ type: "text", text: JSON.stringify(page, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching CMS page: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching CMS page', error);
       }
     }
   );
@@ -212,43 +190,33 @@ export function registerCmsTools(server) {
       identifier: z.string().optional().describe("Filter by page identifier/URL key"),
       title: z.string().optional().describe("Filter by title (partial match)"),
       is_active: z.boolean().optional().describe("Filter by active status"),
-      page_size: z.number().optional().describe("Number of results per page (default: 20)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ identifier, title, is_active, page_size = 20, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (identifier) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=identifier` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(identifier)}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('identifier', identifier);
         }
 
         if (title) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=title` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=%25${encodeURIComponent(title)}%25` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=like`;
-          filterIndex++;
+          criteria.addFilter('title', `%${title}%`, 'like');
         }
 
         if (is_active !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=is_active` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${is_active ? 1 : 0}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
+          criteria.addFilter('is_active', is_active);
         }
 
-        const pages = await callMagentoApi(`/cmsPage/search?${searchCriteria}`);
+        const pages = await callMagentoApi(`/cmsPage/search?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(pages, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(pages, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching CMS pages: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching CMS pages', error);
       }
     }
   );
@@ -292,10 +260,7 @@ export function registerCmsTools(server) {
           content: [{ type: "text", text: `CMS page created successfully:\n${JSON.stringify(result, null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error creating CMS page: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('creating CMS page', error);
       }
     }
   );
@@ -331,10 +296,7 @@ export function registerCmsTools(server) {
           content: [{ type: "text", text: `CMS page updated successfully:\n${JSON.stringify(result, null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error updating CMS page: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('updating CMS page', error);
       }
     }
   );
@@ -353,10 +315,7 @@ export function registerCmsTools(server) {
           content: [{ type: "text", text: `CMS page ${page_id} deleted successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error deleting CMS page: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('deleting CMS page', error);
       }
     }
   );
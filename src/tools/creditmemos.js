@@ -1,5 +1,9 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
+import { buildDayRangeFilter } from '../utils/date-utils.js';
 
 /**
  * Register credit memo (refund) related tools
@@ -20,10 +24,7 @@ export function registerCreditmemoTools(server) {
           content: [{ type: "text", text: JSON.stringify(creditmemo, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching credit memo: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching credit memo', error);
       }
     }
   );
@@ -37,50 +38,32 @@ export function registerCreditmemoTools(server) {
       state: z.number().optional().describe("Filter by credit memo state (1=open, 2=refunded, 3=canceled)"),
       date_from: z.string().optional().describe("Filter credit memos created from this date (YYYY-MM-DD)"),
       date_to: z.string().optional().describe("Filter credit memos created until this date (YYYY-MM-DD)"),
-      page_size: z.number().optional().describe("Number of results per page (default: 20)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ order_id, state, date_from, date_to, page_size = 20, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (order_id !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=order_id` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${order_id}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('order_id', order_id);
         }
 
         if (state !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=state` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${state}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('state', state);
         }
 
-        if (date_from) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(date_from + ' 00:00:00')}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=gteq`;
-          filterIndex++;
-        }
-
-        if (date_to) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(date_to + ' 23:59:59')}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=lteq`;
-        }
+        // Days are calendar days in the store's time zone
+        await buildDayRangeFilter('created_at', date_from, date_to, criteria);
 
-        const creditmemos = await callMagentoApi(`/creditmemos?${searchCriteria}`);
+        const creditmemos = await callMagentoApi(`/creditmemos?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(creditmemos, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(creditmemos, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching credit memos: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching credit memos', error);
       }
     }
   );
@@ -127,10 +110,7 @@ export function registerCreditmemoTools(server) {
           content: [{ type: "text", text: `Credit memo created successfully. Credit Memo ID: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error creating credit memo: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('creating credit memo', error);
       }
     }
   );
@@ -1,5 +1,9 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
+import { buildDayRangeFilter } from '../utils/date-utils.js';
 
 /**
  * Register all customer-related tools with the MCP server
@@ -20,10 +24,7 @@ function registerCustomerTools(server) {
           content: [{ type: "text", text: JSON.stringify(customer, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching customer: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching customer', error);
       }
     }
   );
@@ -40,72 +41,43 @@ function registerCustomerTools(server) {
       website_id: z.number().optional().describe("Filter by website ID"),
       created_at_from: z.string().optional().describe("Filter by creation date from (YYYY-MM-DD)"),
       created_at_to: z.string().optional().describe("Filter by creation date to (YYYY-MM-DD)"),
-      page_size: z.number().optional().describe("Number of results per page (default: 20)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ email, firstname, lastname, group_id, website_id, created_at_from, created_at_to, page_size = 20, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (email) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=email` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=%25${encodeURIComponent(email)}%25` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=like`;
-          filterIndex++;
+          criteria.addFilter('email', `%${email}%`, 'like');
         }
 
         if (firstname) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=firstname` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=%25${encodeURIComponent(firstname)}%25` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=like`;
-          filterIndex++;
+          criteria.addFilter('firstname', `%${firstname}%`, 'like');
         }
 
         if (lastname) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=lastname` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=%25${encodeURIComponent(lastname)}%25` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=like`;
-          filterIndex++;
+          criteria.addFilter('lastname', `%${lastname}%`, 'like');
         }
 
         if (group_id !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=group_id` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${group_id}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('group_id', group_id);
         }
 
         if (website_id !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=website_id` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${website_id}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('website_id', website_id);
         }
 
-        if (created_at_from) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${created_at_from}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=gteq`;
-          filterIndex++;
-        }
-
-        if (created_at_to) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${created_at_to}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=lteq`;
-          filterIndex++;
-        }
+        await buildDayRangeFilter('created_at', created_at_from, created_at_to, criteria);
 
-        const result = await callMagentoApi(`/customers/search?${searchCriteria}`);
+        const result = await callMagentoApi(`/customers/search?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(result, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching customers: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching customers', error);
       }
     }
   );
@@ -117,16 +89,13 @@ function registerCustomerTools(server) {
     {},
     async () => {
       try {
-        const searchCriteria = 'searchCriteria[pageSize]=100';
+        const searchCriteria = new SearchCriteriaBuilder().setPageSize(100).build();
         const groups = await callMagentoApi(`/customerGroups/search?${searchCriteria}`);
         return {
           content: [{ type: "text", text: JSON.stringify(groups, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching customer groups: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching customer groups', error);
       }
     }
   );
@@ -145,10 +114,7 @@ function registerCustomerTools(server) {
           content: [{ type: "text", text: JSON.stringify(customer.addresses || [], null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching customer addresses: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching customer addresses', error);
       }
     }
   );
@@ -188,10 +154,7 @@ function registerCustomerTools(server) {
           content: [{ type: "text", text: `Customer created successfully:\n${JSON.stringify(result, null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error creating customer: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('creating customer', error);
       }
     }
   );
@@ -231,10 +194,7 @@ function registerCustomerTools(server) {
           content: [{ type: "text", text: `Customer updated successfully:\n${JSON.stringify(result, null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error updating customer: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('updating customer', error);
       }
     }
   );
@@ -253,10 +213,7 @@ function registerCustomerTools(server) {
           content: [{ type: "text", text: `Customer ${customer_id} deleted successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error deleting customer: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('deleting customer', error);
       }
     }
   );
@@ -1,5 +1,9 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
+import { buildDayRangeFilter } from '../utils/date-utils.js';
 
 /**
  * Register invoice-related tools
@@ -20,10 +24,7 @@ export function registerInvoiceTools(server) {
           content: [{ type: "text", text: JSON.stringify(invoice, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching invoice: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching invoice', error);
       }
     }
   );
@@ -37,50 +38,32 @@ export function registerInvoiceTools(server) {
       state: z.number().optional().describe("Filter by invoice state (1=open, 2=paid, 3=canceled)"),
       date_from: z.string().optional().describe("Filter invoices created from this date (YYYY-MM-DD)"),
       date_to: z.string().optional().describe("Filter invoices created until this date (YYYY-MM-DD)"),
-      page_size: z.number().optional().describe("Number of results per page (default: 20)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ order_id, state, date_from, date_to, page_size = 20, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (order_id !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=order_id` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${order_id}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('order_id', order_id);
         }
 
         if (state !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=state` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${state}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('state', state);
         }
 
-        if (date_from) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(date_from + ' 00:00:00')}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=gteq`;
-          filterIndex++;
-        }
-
-        if (date_to) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(date_to + ' 23:59:59')}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=lteq`;
-        }
+        // Days are calendar days in the store's time zone
+        await buildDayRangeFilter('created_at', date_from, date_to, criteria);
 
-        const invoices = await callMagentoApi(`/invoices?${searchCriteria}`);
+        const invoices = await callMagentoApi(`/invoices?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(invoices, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(invoices, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching invoices: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching invoices', error);
       }
     }
   );
@@ -114,10 +97,7 @@ export function registerInvoiceTools(server) {
           content: [{ type: "text", text: `Invoice created successfully. Invoice ID: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error creating invoice: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('creating invoice', error);
       }
     }
   );
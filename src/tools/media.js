@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
 
 /**
  * Register product media tools
@@ -24,10 +25,7 @@ export function registerMediaTools(server) {
           content: [{ type: "text", text: JSON.stringify(media, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching product media: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching product media', error);
       }
     }
   );
@@ -47,10 +45,7 @@ export function registerMediaTools(server) {
           content: [{ type: "text", text: JSON.stringify(media, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching media entry: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching media entry', error);
       }
     }
   );
@@ -91,10 +86,7 @@ export function registerMediaTools(server) {
           content: [{ type: "text", text: `Image added successfully. Entry ID: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error adding image: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('adding image', error);
       }
     }
   );
@@ -125,10 +117,7 @@ export function registerMediaTools(server) {
           content: [{ type: "text", text: `Media updated successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error updating media: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('updating media', error);
       }
     }
   );
@@ -148,10 +137,7 @@ export function registerMediaTools(server) {
           content: [{ type: "text", text: `Media entry ${entry_id} deleted successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error deleting media: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('deleting media', error);
       }
     }
   );
@@ -1,5 +1,29 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
+import { structuredResult, formatListSummary } from '../utils/formatters.js';
+import { OUTPUT_SCHEMAS } from '../utils/output-schemas.js';
+import { buildDayRangeFilter } from '../utils/date-utils.js';
+
+/**
+ * One-line summary of an order
+ * @param {object} order - Magento order
+ * @returns {string} Summary line
+ */
+function summarizeOrder(order) {
+  const customer = [order.customer_firstname, order.customer_lastname].filter(Boolean).join(' ') || order.customer_email;
+  const details = [
+    order.status,
+    order.total_qty_ordered !== undefined ? `${order.total_qty_ordered} items` : undefined,
+    order.grand_total !== undefined ? `grand total ${order.grand_total}${order.order_currency_code ? ` ${order.order_currency_code}` : ''}` : undefined,
+    customer,
+    order.created_at
+  ].filter(value => value !== undefined && value !== '');
+
+  return `Order #${order.increment_id ?? '?'} (entity ${order.entity_id ?? '?'})${details.length ? `: ${details.join(', ')}` : ''}`;
+}
 
 /**
  * Register all order-related tools with the MCP server
@@ -7,132 +31,105 @@ import { callMagentoApi } from '../utils/api-client.js';
  */
 function registerOrderTools(server) {
   // Tool: Get order by ID
-  server.tool(
+  server.registerTool(
     "get_order_by_id",
-    "Get detailed information about an order by its entity ID",
     {
-      order_id: z.number().describe("The entity ID of the order")
+      description: "Get detailed information about an order by its entity ID",
+      inputSchema: {
+        order_id: z.number().describe("The entity ID of the order")
+      },
+      outputSchema: OUTPUT_SCHEMAS.order
     },
     async ({ order_id }) => {
       try {
         const order = await callMagentoApi(`/orders/${order_id}`);
-        return {
-          content: [{ type: "text", text: JSON.stringify(order, null, 2) }]
-        };
+        return structuredResult(summarizeOrder(order), { order });
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching order: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching order', error);
       }
     }
   );
 
   // Tool: Get order by increment ID
-  server.tool(
+  server.registerTool(
     "get_order_by_increment_id",
-    "Get detailed information about an order by its increment ID (order number)",
     {
-      increment_id: z.string().describe("The increment ID (order number) of the order")
+      description: "Get detailed information about an order by its increment ID (order number)",
+      inputSchema: {
+        increment_id: z.string().describe("The increment ID (order number) of the order")
+      },
+      outputSchema: OUTPUT_SCHEMAS.order
     },
     async ({ increment_id }) => {
       try {
-        const searchCriteria = `searchCriteria[filter_groups][0][filters][0][field]=increment_id` +
-                              `&searchCriteria[filter_groups][0][filters][0][value]=${encodeURIComponent(increment_id)}` +
-                              `&searchCriteria[filter_groups][0][filters][0][condition_type]=eq`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .addFilter('increment_id', increment_id)
+          .build();
 
         const orders = await callMagentoApi(`/orders?${searchCriteria}`);
 
         if (!orders.items || orders.items.length === 0) {
-          return {
-            content: [{ type: "text", text: `No order found with increment ID: ${increment_id}` }]
-          };
+          return structuredResult(`No order found with increment ID: ${increment_id}`, { order: null });
         }
 
-        return {
-          content: [{ type: "text", text: JSON.stringify(orders.items[0], null, 2) }]
-        };
+        return structuredResult(summarizeOrder(orders.items[0]), { order: orders.items[0] });
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching order: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching order', error);
       }
     }
   );
 
   // Tool: Search orders
-  server.tool(
+  server.registerTool(
     "search_orders",
-    "Search for orders with various filters",
     {
-      status: z.string().optional().describe("Filter by order status (pending, processing, complete, canceled, etc.)"),
-      customer_email: z.string().optional().describe("Filter by customer email"),
-      customer_id: z.number().optional().describe("Filter by customer ID"),
-      date_from: z.string().optional().describe("Filter orders created from this date (YYYY-MM-DD)"),
-      date_to: z.string().optional().describe("Filter orders created until this date (YYYY-MM-DD)"),
-      grand_total_min: z.number().optional().describe("Minimum grand total"),
-      grand_total_max: z.number().optional().describe("Maximum grand total"),
-      page_size: z.number().optional().describe("Number of results per page (default: 20)"),
-      current_page: z.number().optional().describe("Page number (default: 1)"),
-      sort_field: z.string().optional().describe("Field to sort by (default: created_at)"),
-      sort_direction: z.string().optional().describe("Sort direction: ASC or DESC (default: DESC)")
+      description: "Search for orders with various filters",
+      inputSchema: {
+        status: z.string().optional().describe("Filter by order status (pending, processing, complete, canceled, etc.)"),
+        customer_email: z.string().optional().describe("Filter by customer email"),
+        customer_id: z.number().optional().describe("Filter by customer ID"),
+        date_from: z.string().optional().describe("Filter orders created from this date (YYYY-MM-DD)"),
+        date_to: z.string().optional().describe("Filter orders created until this date (YYYY-MM-DD)"),
+        grand_total_min: z.number().optional().describe("Minimum grand total"),
+        grand_total_max: z.number().optional().describe("Maximum grand total"),
+        page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+        current_page: z.number().int().min(1).optional().describe("Page number (default: 1)"),
+        sort_field: z.string().optional().describe("Field to sort by (default: created_at)"),
+        sort_direction: z.string().optional().describe("Sort direction: ASC or DESC (default: DESC)")
+      },
+      outputSchema: OUTPUT_SCHEMAS.orderList
     },
     async ({ status, customer_email, customer_id, date_from, date_to, grand_total_min, grand_total_max, page_size = 20, current_page = 1, sort_field = 'created_at', sort_direction = 'DESC' }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}` +
-                            `&searchCriteria[sortOrders][0][field]=${sort_field}&searchCriteria[sortOrders][0][direction]=${sort_direction}`;
+        const criteria = new SearchCriteriaBuilder()
+          .addSortOrder(sort_field, sort_direction)
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (status) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=status` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(status)}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('status', status);
         }
 
         if (customer_email) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=customer_email` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(customer_email)}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('customer_email', customer_email);
         }
 
         if (customer_id !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=customer_id` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${customer_id}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('customer_id', customer_id);
         }
 
-        if (date_from) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(date_from + ' 00:00:00')}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=gteq`;
-          filterIndex++;
-        }
-
-        if (date_to) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(date_to + ' 23:59:59')}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=lteq`;
-          filterIndex++;
-        }
+        // Days are calendar days in the store's time zone
+        await buildDayRangeFilter('created_at', date_from, date_to, criteria);
 
         if (grand_total_min !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=grand_total` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${grand_total_min}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=gteq`;
-          filterIndex++;
+          criteria.addFilter('grand_total', grand_total_min, 'gteq');
         }
 
         if (grand_total_max !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=grand_total` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${grand_total_max}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=lteq`;
+          criteria.addFilter('grand_total', grand_total_max, 'lteq');
         }
 
-        const orders = await callMagentoApi(`/orders?${searchCriteria}`);
+        const orders = await callMagentoApi(`/orders?${criteria.build()}`);
 
         // Format orders for readability
         const formattedOrders = {
@@ -152,24 +149,23 @@ function registerOrderTools(server) {
           })) || []
         };
 
-        return {
-          content: [{ type: "text", text: JSON.stringify(formattedOrders, null, 2) }]
-        };
+        const page = withPagination(formattedOrders, page_size, current_page);
+        return structuredResult(formatListSummary('orders', page, summarizeOrder), page);
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching orders: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching orders', error);
       }
     }
   );
 
   // Tool: Get order items
-  server.tool(
+  server.registerTool(
     "get_order_items",
-    "Get all items from a specific order",
     {
-      order_id: z.number().describe("The entity ID of the order")
+      description: "Get all items from a specific order",
+      inputSchema: {
+        order_id: z.number().describe("The entity ID of the order")
+      },
+      outputSchema: OUTPUT_SCHEMAS.orderItems
     },
     async ({ order_id }) => {
       try {
@@ -190,36 +186,39 @@ function registerOrderTools(server) {
           product_type: item.product_type
         })) || [];
 
-        return {
-          content: [{ type: "text", text: JSON.stringify(formattedItems, null, 2) }]
-        };
+        const lines = [
+          `Order ${order_id} has ${formattedItems.length} items.`,
+          ...formattedItems.map(item => `- ${item.sku}${item.name ? ` (${item.name})` : ''}: qty ${item.qty_ordered}` +
+            (item.row_total !== undefined ? `, row total ${item.row_total}` : ''))
+        ];
+        return structuredResult(lines.join('\n'), { order_id, items: formattedItems });
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching order items: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching order items', error);
       }
     }
   );
 
   // Tool: Get order comments/history
-  server.tool(
+  server.registerTool(
     "get_order_comments",
-    "Get all comments/status history for an order",
     {
-      order_id: z.number().describe("The entity ID of the order")
+      description: "Get all comments/status history for an order",
+      inputSchema: {
+        order_id: z.number().describe("The entity ID of the order")
+      },
+      outputSchema: OUTPUT_SCHEMAS.orderComments
     },
     async ({ order_id }) => {
       try {
         const order = await callMagentoApi(`/orders/${order_id}`);
-        return {
-          content: [{ type: "text", text: JSON.stringify(order.status_histories || [], null, 2) }]
-        };
+        const comments = order.status_histories || [];
+        const lines = [
+          `Order ${order_id} has ${comments.length} comments.`,
+          ...comments.map(entry => `- ${entry.created_at} [${entry.status ?? 'no status'}] ${entry.comment ?? ''}`.trimEnd())
+        ];
+        return structuredResult(lines.join('\n'), { order_id, comments });
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching order comments: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching order comments', error);
       }
     }
   );
@@ -255,10 +254,7 @@ function registerOrderTools(server) {
           content: [{ type: "text", text: `Comment added successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error adding order comment: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('adding order comment', error);
       }
     }
   );
@@ -277,10 +273,7 @@ function registerOrderTools(server) {
           content: [{ type: "text", text: `Order ${order_id} canceled successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error canceling order: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('canceling order', error);
       }
     }
   );
@@ -299,10 +292,7 @@ function registerOrderTools(server) {
           content: [{ type: "text", text: `Order ${order_id} put on hold. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error holding order: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('holding order', error);
       }
     }
   );
@@ -321,30 +311,31 @@ function registerOrderTools(server) {
           content: [{ type: "text", text: `Order ${order_id} hold removed. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error unholding order: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('unholding order', error);
       }
     }
   );
 
   // Tool: Get order statuses
-  server.tool(
+  server.registerTool(
     "get_order_statuses",
-    "Get all available order statuses",
-    {},
+    {
+      description: "Get all available order statuses",
+      outputSchema: OUTPUT_SCHEMAS.orderStatuses
+    },
     async () => {
       try {
-        const statuses = await callMagentoApi('/orders/statuses');
-        return {
-          content: [{ type: "text", text: JSON.stringify(statuses, null, 2) }]
-        };
+        const response = await callMagentoApi('/orders/statuses');
+        // Some versions return a { code: label } map instead of a list of { value, label }
+        const statuses = Array.isArray(response)
+          ? response
+          : Object.entries(response || {}).map(([value, label]) => ({ value, label: String(label) }));
+        return structuredResult(
+          [`${statuses.length} order statuses.`, ...statuses.map(status => `- ${status.value}: ${status.label}`)].join('\n'),
+          { statuses }
+        );
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching order statuses: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching order statuses', error);
       }
     }
   );
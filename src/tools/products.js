@@ -1,6 +1,42 @@
 import { z } from 'zod';
 import { callMagentoApi, fetchAllPages } from '../utils/api-client.js';
-import { formatProduct, formatSearchResults } from '../utils/formatters.js';
+import { formatProduct, formatSearchResults, structuredResult, formatListSummary } from '../utils/formatters.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
+import { OUTPUT_SCHEMAS } from '../utils/output-schemas.js';
+
+/**
+ * One-line summary of a product
+ * @param {object} product - Product (formatted or raw)
+ * @returns {string} Summary line
+ */
+function summarizeProduct(product) {
+  const details = [
+    product.name,
+    product.type_id,
+    product.price !== undefined ? `price ${product.price}` : undefined,
+    product.status !== undefined ? (Number(product.status) === 1 ? 'enabled' : 'disabled') : undefined
+  ].filter(value => value !== undefined);
+
+  return `${product.sku ?? product.id}${details.length ? `: ${details.join(', ')}` : ''}`;
+}
+
+/**
+ * Build the structured result of a product search
+ * @param {object|string} formattedResults - Result of formatSearchResults
+ * @param {number} pageSize - Page size
+ * @param {number} currentPage - Page number
+ * @returns {object} MCP tool result
+ */
+function productListResult(formattedResults, pageSize, currentPage) {
+  const page = withPagination(
+    typeof formattedResults === 'string' ? { total_count: 0, items: [] } : formattedResults,
+    pageSize,
+    currentPage
+  );
+  return structuredResult(formatListSummary('products', page, summarizeProduct), page);
+}
 
 /**
  * Register all product-related tools with the MCP server
@@ -8,127 +44,93 @@ import { formatProduct, formatSearchResults } from '../utils/formatters.js';
  */
 function registerProductTools(server) {
   // Tool: Get product by SKU
-  server.tool(
+  server.registerTool(
     "get_product_by_sku",
-    "Get detailed information about a product by its SKU",
     {
-      sku: z.string().describe("The SKU (Stock Keeping Unit) of the product")
+      description: "Get detailed information about a product by its SKU",
+      inputSchema: {
+        sku: z.string().describe("The SKU (Stock Keeping Unit) of the product")
+      },
+      outputSchema: OUTPUT_SCHEMAS.product
     },
     async ({ sku }) => {
       try {
         const productData = await callMagentoApi(`/products/${sku}`);
         const formattedProduct = formatProduct(productData);
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(formattedProduct, null, 2)
-            }
-          ]
-        };
+        if (typeof formattedProduct === 'string') {
+          return structuredResult(`No product found with SKU: ${sku}`, { product: null });
+        }
+        return structuredResult(summarizeProduct(formattedProduct), { product: formattedProduct });
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error fetching product: ${error.message}`
-            }
-          ],
-          isError: true
-        };
+        return formatToolError('fetching product', error);
       }
     }
   );
 
   // Tool: Search products
-  server.tool(
+  server.registerTool(
     "search_products",
-    "Search for products using Magento search criteria",
     {
-      query: z.string().describe("Search query (product name, description, etc.)"),
-      page_size: z.number().optional().describe("Number of results per page (default: 10)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      description: "Search for products using Magento search criteria",
+      inputSchema: {
+        query: z.string().describe("Search query (product name, description, etc.)"),
+        page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 10)"),
+        current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
+      },
+      outputSchema: OUTPUT_SCHEMAS.productList
     },
     async ({ query, page_size = 10, current_page = 1 }) => {
       try {
         // Build search criteria for a simple name search
-        const searchCriteria = `searchCriteria[filter_groups][0][filters][0][field]=name&` +
-                              `searchCriteria[filter_groups][0][filters][0][value]=%25${encodeURIComponent(query)}%25&` +
-                              `searchCriteria[filter_groups][0][filters][0][condition_type]=like&` +
-                              `searchCriteria[pageSize]=${page_size}&` +
-                              `searchCriteria[currentPage]=${current_page}`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .addFilter('name', `%${query}%`, 'like')
+          .setPageSize(page_size)
+          .setCurrentPage(current_page)
+          .build();
 
         const productData = await callMagentoApi(`/products?${searchCriteria}`);
         const formattedResults = formatSearchResults(productData);
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(formattedResults, null, 2)
-            }
-          ]
-        };
+        return productListResult(formattedResults, page_size, current_page);
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error searching products: ${error.message}`
-            }
-          ],
-          isError: true
-        };
+        return formatToolError('searching products', error);
       }
     }
   );
 
   // Tool: Advanced product search
-  server.tool(
+  server.registerTool(
     "advanced_product_search",
-    "Search for products with advanced filtering options",
     {
-      field: z.string().describe("Field to search on (e.g., name, sku, price, status)"),
-      value: z.string().describe("Value to search for"),
-      condition_type: z.string().optional().describe("Condition type (eq, like, gt, lt, etc.). Default: eq"),
-      page_size: z.number().optional().describe("Number of results per page (default: 10)"),
-      current_page: z.number().optional().describe("Page number (default: 1)"),
-      sort_field: z.string().optional().describe("Field to sort by (default: entity_id)"),
-      sort_direction: z.string().optional().describe("Sort direction (ASC or DESC, default: DESC)")
+      description: "Search for products with advanced filtering options",
+      inputSchema: {
+        field: z.string().describe("Field to search on (e.g., name, sku, price, status)"),
+        value: z.string().describe("Value to search for"),
+        condition_type: z.string().optional().describe("Condition type (eq, like, gt, lt, etc.). Default: eq"),
+        page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 10)"),
+        current_page: z.number().int().min(1).optional().describe("Page number (default: 1)"),
+        sort_field: z.string().optional().describe("Field to sort by (default: entity_id)"),
+        sort_direction: z.string().optional().describe("Sort direction (ASC or DESC, default: DESC)")
+      },
+      outputSchema: OUTPUT_SCHEMAS.productList
     },
     async ({ field, value, condition_type = 'eq', page_size = 10, current_page = 1, sort_field = 'entity_id', sort_direction = 'DESC' }) => {
       try {
         // Build search criteria
-        const searchCriteria = `searchCriteria[filter_groups][0][filters][0][field]=${encodeURIComponent(field)}&` +
-                              `searchCriteria[filter_groups][0][filters][0][value]=${encodeURIComponent(value)}&` +
-                              `searchCriteria[filter_groups][0][filters][0][condition_type]=${encodeURIComponent(condition_type)}&` +
-                              `searchCriteria[pageSize]=${page_size}&` +
-                              `searchCriteria[currentPage]=${current_page}&` +
-                              `searchCriteria[sortOrders][0][field]=${encodeURIComponent(sort_field)}&` +
-                              `searchCriteria[sortOrders][0][direction]=${encodeURIComponent(sort_direction)}`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .addFilter(field, value, condition_type)
+          .addSortOrder(sort_field, sort_direction)
+          .setPageSize(page_size)
+          .setCurrentPage(current_page)
+          .build();
 
         const productData = await callMagentoApi(`/products?${searchCriteria}`);
         const formattedResults = formatSearchResults(productData);
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(formattedResults, null, 2)
-            }
-          ]
-        };
+        return productListResult(formattedResults, page_size, current_page);
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error performing advanced search: ${error.message}`
-            }
-          ],
-          isError: true
-        };
+        return formatToolError('performing advanced search', error);
       }
     }
   );
@@ -145,7 +147,10 @@ function registerProductTools(server) {
     async ({ sku, attribute_code, value }) => {
       try {
         // First, check if the product exists
-        const productData = await callMagentoApi(`/products/${sku}`).catch(() => null);
+        const productData = await callMagentoApi(`/products/${sku}`).catch(error => {
+          if (error.type === 'not_found') return null;
+          throw error;
+        });
 
         if (!productData) {
           return {
@@ -194,15 +199,7 @@ function registerProductTools(server) {
           ]
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error updating product attribute: ${error.response?.data?.message || error.message}`
-            }
-          ],
-          isError: true
-        };
+        return formatToolError('updating product attribute', error);
       }
     }
   );
@@ -264,10 +261,7 @@ function registerProductTools(server) {
           content: [{ type: "text", text: `Product created successfully:\n${JSON.stringify(formatProduct(result), null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error creating product: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('creating product', error);
       }
     }
   );
@@ -312,10 +306,7 @@ function registerProductTools(server) {
           content: [{ type: "text", text: `Product updated successfully:\n${JSON.stringify(formatProduct(result), null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error updating product: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('updating product', error);
       }
     }
   );
@@ -334,10 +325,7 @@ function registerProductTools(server) {
           content: [{ type: "text", text: `Product ${sku} deleted successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error deleting product: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('deleting product', error);
       }
     }
   );
@@ -366,10 +354,7 @@ function registerProductTools(server) {
           content: [{ type: "text", text: `Product ${sku} assigned to category ${category_id} successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error assigning product to category: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('assigning product to category', error);
       }
     }
   );
@@ -389,10 +374,7 @@ function registerProductTools(server) {
           content: [{ type: "text", text: `Product ${sku} removed from category ${category_id}. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error removing product from category: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('removing product from category', error);
       }
     }
   );
@@ -1,5 +1,8 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
 
 /**
  * Register all promotion/sales rules and coupon tools
@@ -12,21 +15,21 @@ function registerPromotionTools(server) {
     "get_sales_rules",
     "Get cart price rules (promotions)",
     {
-      page_size: z.number().optional().describe("Number of results per page (default: 50)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 50)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ page_size = 50, current_page = 1 }) => {
       try {
-        const searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page)
+          .build();
         const rules = await callMagentoApi(`/salesRules/search?${searchCriteria}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(rules, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(rules, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching sales rules: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching sales rules', error);
       }
     }
   );
@@ -45,10 +48,7 @@ function registerPromotionTools(server) {
           content: [{ type: "text", text: JSON.stringify(rule, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching sales rule: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching sales rule', error);
       }
     }
   );
@@ -61,37 +61,29 @@ function registerPromotionTools(server) {
       code: z.string().optional().describe("Filter by coupon code (partial match)"),
       rule_id: z.number().optional().describe("Filter by sales rule ID"),
       is_active: z.boolean().optional().describe("Filter by active status"),
-      page_size: z.number().optional().describe("Number of results per page (default: 50)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 50)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ code, rule_id, is_active, page_size = 50, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (code) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=code` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=%25${encodeURIComponent(code)}%25` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=like`;
-          filterIndex++;
+          criteria.addFilter('code', `%${code}%`, 'like');
         }
 
         if (rule_id !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=rule_id` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${rule_id}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('rule_id', rule_id);
         }
 
-        const coupons = await callMagentoApi(`/coupons/search?${searchCriteria}`);
+        const coupons = await callMagentoApi(`/coupons/search?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(coupons, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(coupons, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching coupons: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching coupons', error);
       }
     }
   );
@@ -110,10 +102,7 @@ function registerPromotionTools(server) {
           content: [{ type: "text", text: JSON.stringify(coupon, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching coupon: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching coupon', error);
       }
     }
   );
@@ -132,10 +121,7 @@ function registerPromotionTools(server) {
           content: [{ type: "text", text: `Coupon ${coupon_id} deleted successfully. Result: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error deleting coupon: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('deleting coupon', error);
       }
     }
   );
@@ -0,0 +1,71 @@
+import { z } from 'zod';
+import { callMagentoApi } from '../utils/api-client.js';
+import { CONDITION_TYPES, searchCriteriaFromExpression } from '../utils/search-criteria.js';
+import { formatToolError } from '../utils/errors.js';
+import { withPagination } from '../utils/pagination.js';
+
+// Repository endpoints searchable with search_entities
+const SEARCHABLE_ENTITIES = {
+  products: '/products',
+  orders: '/orders',
+  customers: '/customers/search',
+  invoices: '/invoices',
+  shipments: '/shipments',
+  creditmemos: '/creditmemos',
+  categories: '/categories/list',
+  cms_pages: '/cmsPage/search',
+  cms_blocks: '/cmsBlock/search',
+  carts: '/carts/search',
+  product_attributes: '/products/attributes',
+  sales_rules: '/salesRules/search',
+  coupons: '/coupons/search',
+  url_rewrites: '/url-rewrite',
+  tax_rates: '/taxRates/search',
+  tax_rules: '/taxRules/search',
+  tax_classes: '/taxClasses/search',
+  customer_groups: '/customerGroups/search',
+  source_items: '/inventory/source-items'
+};
+
+/**
+ * Register the generic search tool
+ * @param {object} server - MCP server instance
+ */
+function registerSearchTools(server) {
+  // Tool: Search any repository endpoint
+  server.tool(
+    "search_entities",
+    "Search a Magento repository with a filter expression: filters within a group are combined with OR, groups are combined with AND",
+    {
+      entity: z.enum(Object.keys(SEARCHABLE_ENTITIES)).describe("Entity type to search"),
+      filter_groups: z.array(z.array(z.object({
+        field: z.string().describe("Field name (e.g., 'status', 'created_at', 'sku')"),
+        value: z.union([z.string(), z.number(), z.boolean(), z.array(z.union([z.string(), z.number()]))]).optional()
+          .describe("Value to compare with (an array for 'in'/'nin', omitted for 'null'/'notnull')"),
+        condition_type: z.enum(CONDITION_TYPES).optional().describe("Condition type (default: eq)")
+      })).min(1)).optional().describe("Filter groups, e.g. [[{field:'status',value:'pending'},{field:'status',value:'processing'}],[{field:'grand_total',value:100,condition_type:'gt'}]]"),
+      sort_orders: z.array(z.object({
+        field: z.string().describe("Field to sort by"),
+        direction: z.enum(['ASC', 'DESC']).optional().describe("Sort direction (default: ASC)")
+      })).optional().describe("Sort orders, applied in order"),
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
+    },
+    async ({ entity, filter_groups, sort_orders, page_size = 20, current_page = 1 }) => {
+      try {
+        const criteria = searchCriteriaFromExpression({ filter_groups, sort_orders, page_size, current_page });
+        const results = await callMagentoApi(`${SEARCHABLE_ENTITIES[entity]}?${criteria.build()}`);
+
+        return {
+          content: [{ type: "text", text: JSON.stringify(withPagination(results, page_size, current_page), null, 2) }]
+        };
+      } catch (error) {
+        return formatToolError(`searching ${entity}`, error);
+      }
+    }
+  );
+}
+
+export {
+  registerSearchTools
+};
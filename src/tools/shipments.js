@@ -1,5 +1,9 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
+import { buildDayRangeFilter } from '../utils/date-utils.js';
 
 /**
  * Register shipment-related tools
@@ -20,10 +24,7 @@ export function registerShipmentTools(server) {
           content: [{ type: "text", text: JSON.stringify(shipment, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching shipment: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching shipment', error);
       }
     }
   );
@@ -36,43 +37,28 @@ export function registerShipmentTools(server) {
       order_id: z.number().optional().describe("Filter by order ID"),
       date_from: z.string().optional().describe("Filter shipments created from this date (YYYY-MM-DD)"),
       date_to: z.string().optional().describe("Filter shipments created until this date (YYYY-MM-DD)"),
-      page_size: z.number().optional().describe("Number of results per page (default: 20)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 20)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ order_id, date_from, date_to, page_size = 20, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (order_id !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=order_id` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${order_id}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
-        }
-
-        if (date_from) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(date_from + ' 00:00:00')}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=gteq`;
-          filterIndex++;
+          criteria.addFilter('order_id', order_id);
         }
 
-        if (date_to) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=created_at` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(date_to + ' 23:59:59')}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=lteq`;
-        }
+        // Days are calendar days in the store's time zone
+        await buildDayRangeFilter('created_at', date_from, date_to, criteria);
 
-        const shipments = await callMagentoApi(`/shipments?${searchCriteria}`);
+        const shipments = await callMagentoApi(`/shipments?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(shipments, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(shipments, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching shipments: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching shipments', error);
       }
     }
   );
@@ -113,10 +99,7 @@ export function registerShipmentTools(server) {
           content: [{ type: "text", text: `Shipment created successfully. Shipment ID: ${result}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error creating shipment: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('creating shipment', error);
       }
     }
   );
@@ -147,10 +130,7 @@ export function registerShipmentTools(server) {
           content: [{ type: "text", text: `Tracking added successfully:\n${JSON.stringify(result, null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error adding tracking: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('adding tracking', error);
       }
     }
   );
@@ -1,5 +1,27 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
+import { structuredResult, formatListSummary } from '../utils/formatters.js';
+import { OUTPUT_SCHEMAS } from '../utils/output-schemas.js';
+
+/**
+ * Build the structured result of a list of inventory records
+ * @param {string} noun - Plural name of the records
+ * @param {object} results - Search results from Magento
+ * @param {Function} formatItem - Returns the summary line of a record
+ * @param {number} [pageSize] - Page size, when the tool is paginated
+ * @param {number} [currentPage] - Page number, when the tool is paginated
+ * @returns {object} MCP tool result
+ */
+function inventoryListResult(noun, results, formatItem, pageSize, currentPage) {
+  let page = { ...results, items: results?.items || [] };
+  if (pageSize !== undefined) {
+    page = withPagination(page, pageSize, currentPage);
+  }
+  return structuredResult(formatListSummary(noun, page, formatItem), page);
+}
 
 /**
  * Register all stock and inventory related tools
@@ -7,34 +29,24 @@ import { callMagentoApi } from '../utils/api-client.js';
  */
 export function registerStockTools(server) {
   // Tool: Get product stock information
-  server.tool(
+  server.registerTool(
     "get_product_stock",
-    "Get stock information for a product by SKU",
     {
-      sku: z.string().describe("The SKU (Stock Keeping Unit) of the product")
+      description: "Get stock information for a product by SKU",
+      inputSchema: {
+        sku: z.string().describe("The SKU (Stock Keeping Unit) of the product")
+      },
+      outputSchema: OUTPUT_SCHEMAS.stockItem
     },
     async ({ sku }) => {
       try {
         const stockData = await callMagentoApi(`/stockItems/${sku}`);
+        const summary = `${sku}: qty ${stockData.qty ?? '?'}, ${stockData.is_in_stock ? 'in stock' : 'out of stock'}` +
+          (stockData.manage_stock === false ? ' (stock not managed)' : '');
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(stockData, null, 2)
-            }
-          ]
-        };
+        return structuredResult(summary, { sku, stock_item: stockData });
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error fetching stock information: ${error.message}`
-            }
-          ],
-          isError: true
-        };
+        return formatToolError('fetching stock information', error);
       }
     }
   );
@@ -62,114 +74,119 @@ export function registerStockTools(server) {
           content: [{ type: "text", text: `Stock updated successfully for ${sku}:\n${JSON.stringify(result, null, 2)}` }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error updating stock: ${error.response?.data?.message || error.message}` }],
-          isError: true
-        };
+        return formatToolError('updating stock', error);
       }
     }
   );
 
   // Tool: Get low stock products
-  server.tool(
+  server.registerTool(
     "get_low_stock_products",
-    "Get products with low stock levels",
     {
-      threshold: z.number().optional().describe("Stock threshold to consider low (default: 10)"),
-      page_size: z.number().optional().describe("Number of results per page (default: 50)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      description: "Get products with low stock levels",
+      inputSchema: {
+        threshold: z.number().optional().describe("Stock threshold to consider low (default: 10)"),
+        page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 50)"),
+        current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
+      },
+      outputSchema: OUTPUT_SCHEMAS.stockItemList
     },
     async ({ threshold = 10, page_size = 50, current_page = 1 }) => {
       try {
-        const searchCriteria = `searchCriteria[filter_groups][0][filters][0][field]=qty` +
-                              `&searchCriteria[filter_groups][0][filters][0][value]=${threshold}` +
-                              `&searchCriteria[filter_groups][0][filters][0][condition_type]=lteq` +
-                              `&searchCriteria[filter_groups][1][filters][0][field]=qty` +
-                              `&searchCriteria[filter_groups][1][filters][0][value]=0` +
-                              `&searchCriteria[filter_groups][1][filters][0][condition_type]=gt` +
-                              `&searchCriteria[pageSize]=${page_size}` +
-                              `&searchCriteria[currentPage]=${current_page}`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .addFilter('qty', threshold, 'lteq')
+          .addFilter('qty', 0, 'gt')
+          .setPageSize(page_size)
+          .setCurrentPage(current_page)
+          .build();
 
         const products = await callMagentoApi(`/stockItems/lowStock?${searchCriteria}`);
-        return {
-          content: [{ type: "text", text: JSON.stringify(products, null, 2) }]
-        };
+        return inventoryListResult(
+          'low stock items',
+          products,
+          item => `${item.sku ?? `product ${item.product_id}`}: qty ${item.qty}`,
+          page_size,
+          current_page
+        );
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching low stock products: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching low stock products', error);
       }
     }
   );
 
   // Tool: Get inventory sources (MSI)
-  server.tool(
+  server.registerTool(
     "get_inventory_sources",
-    "Get all inventory sources (Multi-Source Inventory)",
     {
-      page_size: z.number().optional().describe("Number of results per page (default: 50)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      description: "Get all inventory sources (Multi-Source Inventory)",
+      inputSchema: {
+        page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 50)"),
+        current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
+      },
+      outputSchema: OUTPUT_SCHEMAS.inventorySourceList
     },
     async ({ page_size = 50, current_page = 1 }) => {
       try {
-        const searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page)
+          .build();
         const sources = await callMagentoApi(`/inventory/sources?${searchCriteria}`);
-        return {
-          content: [{ type: "text", text: JSON.stringify(sources, null, 2) }]
-        };
+        return inventoryListResult(
+          'inventory sources',
+          sources,
+          source => `${source.source_code}: ${source.name}${source.enabled === false ? ' (disabled)' : ''}`,
+          page_size,
+          current_page
+        );
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching inventory sources: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching inventory sources', error);
       }
     }
   );
 
   // Tool: Get inventory stocks (MSI)
-  server.tool(
+  server.registerTool(
     "get_inventory_stocks",
-    "Get all inventory stocks (Multi-Source Inventory)",
-    {},
+    {
+      description: "Get all inventory stocks (Multi-Source Inventory)",
+      outputSchema: OUTPUT_SCHEMAS.inventoryStockList
+    },
     async () => {
       try {
-        const searchCriteria = 'searchCriteria[pageSize]=100';
+        const searchCriteria = new SearchCriteriaBuilder().setPageSize(100).build();
         const stocks = await callMagentoApi(`/inventory/stocks?${searchCriteria}`);
-        return {
-          content: [{ type: "text", text: JSON.stringify(stocks, null, 2) }]
-        };
+        return inventoryListResult('inventory stocks', stocks, stock => `${stock.stock_id}: ${stock.name}`);
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching inventory stocks: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching inventory stocks', error);
       }
     }
   );
 
   // Tool: Get source items for SKU (MSI)
-  server.tool(
+  server.registerTool(
     "get_source_items",
-    "Get source items (inventory per source) for a SKU",
     {
-      sku: z.string().describe("The SKU of the product")
+      description: "Get source items (inventory per source) for a SKU",
+      inputSchema: {
+        sku: z.string().describe("The SKU of the product")
+      },
+      outputSchema: OUTPUT_SCHEMAS.sourceItemList
     },
     async ({ sku }) => {
       try {
-        const searchCriteria = `searchCriteria[filter_groups][0][filters][0][field]=sku` +
-                              `&searchCriteria[filter_groups][0][filters][0][value]=${encodeURIComponent(sku)}` +
-                              `&searchCriteria[filter_groups][0][filters][0][condition_type]=eq`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .addFilter('sku', sku)
+          .build();
 
         const sourceItems = await callMagentoApi(`/inventory/source-items?${searchCriteria}`);
-        return {
-          content: [{ type: "text", text: JSON.stringify(sourceItems, null, 2) }]
-        };
+        return inventoryListResult(
+          'source items',
+          sourceItems,
+          item => `${item.source_code}: qty ${item.quantity}, ${item.status === 1 ? 'in stock' : 'out of stock'}`
+        );
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching source items: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching source items', error);
       }
     }
   );
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
 
 /**
  * Register store configuration tools
@@ -22,10 +23,7 @@ export function registerStoreTools(server) {
           content: [{ type: "text", text: JSON.stringify(configs, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching store configs: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching store configs', error);
       }
     }
   );
@@ -42,10 +40,7 @@ export function registerStoreTools(server) {
           content: [{ type: "text", text: JSON.stringify(storeViews, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching store views: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching store views', error);
       }
     }
   );
@@ -62,10 +57,7 @@ export function registerStoreTools(server) {
           content: [{ type: "text", text: JSON.stringify(websites, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching websites: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching websites', error);
       }
     }
   );
@@ -82,10 +74,7 @@ export function registerStoreTools(server) {
           content: [{ type: "text", text: JSON.stringify(groups, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching store groups: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching store groups', error);
       }
     }
   );
@@ -102,10 +91,7 @@ export function registerStoreTools(server) {
           content: [{ type: "text", text: JSON.stringify(countries, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching countries: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching countries', error);
       }
     }
   );
@@ -122,10 +108,7 @@ export function registerStoreTools(server) {
           content: [{ type: "text", text: JSON.stringify(currency, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching currency info: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching currency info', error);
       }
     }
   );
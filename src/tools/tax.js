@@ -1,5 +1,8 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
 
 /**
  * Register all tax-related tools
@@ -11,21 +14,21 @@ function registerTaxTools(server) {
     "get_tax_rates",
     "Get all tax rates",
     {
-      page_size: z.number().optional().describe("Number of results per page (default: 100)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 100)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ page_size = 100, current_page = 1 }) => {
       try {
-        const searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page)
+          .build();
         const rates = await callMagentoApi(`/taxRates/search?${searchCriteria}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(rates, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(rates, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching tax rates: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching tax rates', error);
       }
     }
   );
@@ -35,21 +38,21 @@ function registerTaxTools(server) {
     "get_tax_rules",
     "Get all tax rules",
     {
-      page_size: z.number().optional().describe("Number of results per page (default: 100)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 100)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ page_size = 100, current_page = 1 }) => {
       try {
-        const searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const searchCriteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page)
+          .build();
         const rules = await callMagentoApi(`/taxRules/search?${searchCriteria}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(rules, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(rules, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching tax rules: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching tax rules', error);
       }
     }
   );
@@ -63,23 +66,18 @@ function registerTaxTools(server) {
     },
     async ({ tax_class_type }) => {
       try {
-        let searchCriteria = 'searchCriteria[pageSize]=100';
+        const criteria = new SearchCriteriaBuilder().setPageSize(100);
 
         if (tax_class_type) {
-          searchCriteria += `&searchCriteria[filter_groups][0][filters][0][field]=class_type` +
-                           `&searchCriteria[filter_groups][0][filters][0][value]=${encodeURIComponent(tax_class_type)}` +
-                           `&searchCriteria[filter_groups][0][filters][0][condition_type]=eq`;
+          criteria.addFilter('class_type', tax_class_type);
         }
 
-        const classes = await callMagentoApi(`/taxClasses/search?${searchCriteria}`);
+        const classes = await callMagentoApi(`/taxClasses/search?${criteria.build()}`);
         return {
           content: [{ type: "text", text: JSON.stringify(classes, null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error fetching tax classes: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('fetching tax classes', error);
       }
     }
   );
@@ -1,5 +1,8 @@
 import { z } from 'zod';
 import { callMagentoApi } from '../utils/api-client.js';
+import { formatToolError } from '../utils/errors.js';
+import { SearchCriteriaBuilder } from '../utils/search-criteria.js';
+import { withPagination } from '../utils/pagination.js';
 
 /**
  * Register all URL rewrite-related tools
@@ -15,50 +18,37 @@ function registerUrlRewriteTools(server) {
       target_path: z.string().optional().describe("Filter by target path (partial match)"),
       entity_type: z.string().optional().describe("Filter by entity type (product, category, cms-page)"),
       store_id: z.number().optional().describe("Filter by store ID"),
-      page_size: z.number().optional().describe("Number of results per page (default: 50)"),
-      current_page: z.number().optional().describe("Page number (default: 1)")
+      page_size: z.number().int().min(1).optional().describe("Number of results per page (default: 50)"),
+      current_page: z.number().int().min(1).optional().describe("Page number (default: 1)")
     },
     async ({ request_path, target_path, entity_type, store_id, page_size = 50, current_page = 1 }) => {
       try {
-        let filterIndex = 0;
-        let searchCriteria = `searchCriteria[pageSize]=${page_size}&searchCriteria[currentPage]=${current_page}`;
+        const criteria = new SearchCriteriaBuilder()
+          .setPageSize(page_size)
+          .setCurrentPage(current_page);
 
         if (request_path) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=request_path` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=%25${encodeURIComponent(request_path)}%25` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=like`;
-          filterIndex++;
+          criteria.addFilter('request_path', `%${request_path}%`, 'like');
         }
 
         if (target_path) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=target_path` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=%25${encodeURIComponent(target_path)}%25` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=like`;
-          filterIndex++;
+          criteria.addFilter('target_path', `%${target_path}%`, 'like');
         }
 
         if (entity_type) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=entity_type` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${encodeURIComponent(entity_type)}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
-          filterIndex++;
+          criteria.addFilter('entity_type', entity_type);
         }
 
         if (store_id !== undefined) {
-          searchCriteria += `&searchCriteria[filter_groups][${filterIndex}][filters][0][field]=store_id` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][value]=${store_id}` +
-                           `&searchCriteria[filter_groups][${filterIndex}][filters][0][condition_type]=eq`;
+          criteria.addFilter('store_id', store_id);
         }
 
-        const rewrites = await callMagentoApi(`/url-rewrite?${searchCriteria}`);
+        const rewrites = await callMagentoApi(`/url-rewrite?${criteria.build()}`);
         return {
-          content: [{ type: "text", text: JSON.stringify(rewrites, null, 2) }]
+          content: [{ type: "text", text: JSON.stringify(withPagination(rewrites, page_size, current_page), null, 2) }]
         };
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `Error searching URL rewrites: ${error.message}` }],
-          isError: true
-        };
+        return formatToolError('searching URL rewrites', error);
       }
     }
   );
@@ -0,0 +1,257 @@
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import express from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { hostHeaderValidation } from '@modelcontextprotocol/sdk/server/middleware/hostHeaderValidation.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { MCP_HTTP_HOST, MCP_HTTP_PORT, MCP_HTTP_AUTH_TOKEN, MCP_HTTP_ALLOWED_HOSTS } from '../config.js';
+
+// Addresses only reachable from this machine, and the host names (as URL hostnames) clients use to reach them
+const LOOPBACK_ADDRESSES = ['127.0.0.1', 'localhost', '::1'];
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Send a JSON-RPC error response
+ * @param {object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+/**
+ * Host names the Host and Origin headers of requests must match, to block DNS rebinding
+ * @returns {Array<string>|null} Allowed host names, or null to accept any host
+ */
+function allowedHostnames() {
+  if (MCP_HTTP_ALLOWED_HOSTS.length > 0) {
+    return MCP_HTTP_ALLOWED_HOSTS;
+  }
+  return LOOPBACK_ADDRESSES.includes(MCP_HTTP_HOST) ? LOOPBACK_HOSTNAMES : null;
+}
+
+/**
+ * Build a middleware rejecting browser requests sent from pages of other hosts
+ * @param {Array<string>} hostnames - Allowed host names
+ * @returns {Function} Express middleware
+ */
+function originValidation(hostnames) {
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    if (!origin) {
+      return next();
+    }
+
+    let hostname;
+    try {
+      hostname = new URL(origin).hostname;
+    } catch {
+      hostname = null;
+    }
+    if (!hostnames.includes(hostname)) {
+      return sendJsonRpcError(res, 403, -32000, `Invalid Origin: ${origin}`);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} actual - Value sent by the client
+ * @param {string} expected - Expected value
+ * @returns {boolean} Whether they are equal
+ */
+function safeEqual(actual, expected) {
+  // Hash both sides so that buffers of equal length are compared whatever the length of the input
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(actual), digest(expected));
+}
+
+/**
+ * Reject requests that do not carry the shared bearer token (when one is configured)
+ */
+function requireAuthToken(req, res, next) {
+  if (!MCP_HTTP_AUTH_TOKEN) {
+    return next();
+  }
+
+  if (!safeEqual(req.headers.authorization || '', `Bearer ${MCP_HTTP_AUTH_TOKEN}`)) {
+    return sendJsonRpcError(res, 401, -32001, 'Unauthorized');
+  }
+
+  next();
+}
+
+/**
+ * Answer errors raised while handling a request (invalid JSON bodies included) with a JSON-RPC error
+ * instead of Express's HTML error page
+ */
+function handleRequestError(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendJsonRpcError(res, 400, -32700, 'Parse error: request body is not valid JSON');
+  }
+  if (error.status >= 400 && error.status < 500) {
+    return sendJsonRpcError(res, error.status, -32600, `Invalid Request: ${error.message}`);
+  }
+
+  console.error('Error handling HTTP request:', error);
+  sendJsonRpcError(res, 500, -32603, 'Internal server error');
+}
+
+/**
+ * Log an error of an async route handler and answer with a JSON-RPC error when the response has not started
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ */
+function handleRouteError(res, error) {
+  console.error('Error handling MCP request:', error);
+  if (!res.headersSent) {
+    sendJsonRpcError(res, 500, -32603, 'Internal server error');
+  }
+}
+
+/**
+ * Start an HTTP server exposing the MCP server over Streamable HTTP (/mcp)
+ * and the legacy HTTP+SSE transport (/sse + /messages).
+ * Every client session gets its own McpServer instance. Requests must name an allowed host in their Host and Origin
+ * headers (DNS rebinding protection), and the server only listens on a non-loopback address with an auth token.
+ * @param {Function} createServer - Factory returning a fully registered McpServer
+ * @returns {Promise<import('http').Server>} The listening HTTP server
+ * @throws {Error} If asked to listen on a non-loopback address without MCP_HTTP_AUTH_TOKEN
+ */
+async function startHttpServer(createServer) {
+  if (!LOOPBACK_ADDRESSES.includes(MCP_HTTP_HOST) && !MCP_HTTP_AUTH_TOKEN) {
+    throw new Error(
+      `Refusing to listen on ${MCP_HTTP_HOST} without MCP_HTTP_AUTH_TOKEN: anyone reaching that address could ` +
+      `call every tool with the configured Magento credentials`
+    );
+  }
+
+  const app = express();
+  const hostnames = allowedHostnames();
+  if (hostnames) {
+    app.use(hostHeaderValidation(hostnames));
+    app.use(originValidation(hostnames));
+  }
+  app.use(requireAuthToken);
+  app.use(express.json({ limit: '10mb' }));
+
+  // Session ID -> transport, one map per protocol
+  const streamableTransports = {};
+  const sseTransports = {};
+
+  // Streamable HTTP: initialization and client-to-server messages
+  app.post('/mcp', async (req, res) => {
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      let transport = sessionId ? streamableTransports[sessionId] : undefined;
+
+      if (!transport) {
+        if (sessionId || !isInitializeRequest(req.body)) {
+          return sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        }
+
+        const server = createServer();
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (newSessionId) => {
+            streamableTransports[newSessionId] = transport;
+            console.error(`MCP session ${newSessionId} initialized (streamable HTTP)`);
+          }
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) {
+            delete streamableTransports[transport.sessionId];
+            console.error(`MCP session ${transport.sessionId} closed`);
+          }
+          server.close().catch(() => {});
+        };
+
+        await server.connect(transport);
+      }
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      handleRouteError(res, error);
+    }
+  });
+
+  // Streamable HTTP: server-to-client notification stream and session termination
+  const handleSessionRequest = async (req, res) => {
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      const transport = sessionId ? streamableTransports[sessionId] : undefined;
+
+      if (!transport) {
+        return sendJsonRpcError(res, 400, -32000, 'Bad Request: Invalid or missing session ID');
+      }
+
+      await transport.handleRequest(req, res);
+    } catch (error) {
+      handleRouteError(res, error);
+    }
+  };
+  app.get('/mcp', handleSessionRequest);
+  app.delete('/mcp', handleSessionRequest);
+
+  // Legacy HTTP+SSE: event stream
+  app.get('/sse', async (req, res) => {
+    try {
+      const server = createServer();
+      const transport = new SSEServerTransport('/messages', res);
+      sseTransports[transport.sessionId] = transport;
+      console.error(`MCP session ${transport.sessionId} initialized (SSE)`);
+
+      res.on('close', () => {
+        delete sseTransports[transport.sessionId];
+        console.error(`MCP session ${transport.sessionId} closed`);
+        server.close().catch(() => {});
+      });
+
+      await server.connect(transport);
+    } catch (error) {
+      handleRouteError(res, error);
+    }
+  });
+
+  // Legacy HTTP+SSE: client-to-server messages
+  app.post('/messages', async (req, res) => {
+    try {
+      const transport = sseTransports[req.query.sessionId];
+
+      if (!transport) {
+        return sendJsonRpcError(res, 400, -32000, 'Bad Request: No transport found for sessionId');
+      }
+
+      await transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      handleRouteError(res, error);
+    }
+  });
+
+  app.use(handleRequestError);
+
+  return new Promise((resolve, reject) => {
+    const httpServer = app.listen(MCP_HTTP_PORT, MCP_HTTP_HOST, () => {
+      console.error(`Magento MCP Server listening on http://${MCP_HTTP_HOST}:${MCP_HTTP_PORT}`);
+      console.error(`  Streamable HTTP endpoint: /mcp`);
+      console.error(`  Legacy SSE endpoints: /sse and /messages`);
+      resolve(httpServer);
+    });
+    httpServer.on('error', reject);
+  });
+}
+
+export {
+  startHttpServer
+};
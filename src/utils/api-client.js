@@ -1,89 +1,335 @@
 import axios from 'axios';
-import { MAGENTO_BASE_URL, MAGENTO_API_TOKEN, httpsAgent } from '../config.js';
+import { getInstanceConfig, MAGENTO_FETCH_PAGE_SIZE } from '../config.js';
+import { getContext } from './request-context.js';
+import { getAuthorizationHeader, invalidateAuthorization } from './auth.js';
+import { withRetry, getCircuitBreaker, isServerFailure, CircuitOpenError } from './resilience.js';
+import { getScheduler } from './scheduler.js';
+import { getCacheTtl, getCachedResponse, setCachedResponse, invalidateResource } from './response-cache.js';
+import { DryRunInterrupt, resolveTargetEndpoint } from './dry-run.js';
+import { toMagentoApiError, RequestCancelledError } from './errors.js';
+import { withFieldsParam } from './response-size.js';
+import { reportProgress } from './progress.js';
+import { scopedBaseUrl } from './store-scope.js';
+
+// Pages requested at once by iteratePages when the instance has no concurrency limit
+const DEFAULT_PAGE_CONCURRENCY = 4;
+
+/**
+ * Send a single authenticated request to a Magento instance
+ * @param {object} instance - Instance configuration
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL
+ * @param {object|null} data - Request body data
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<object>} Axios response
+ */
+async function sendRequest(instance, method, url, data, signal) {
+  const config = {
+    method,
+    url,
+    headers: {
+      'Authorization': await getAuthorizationHeader(instance, method, url),
+      'Content-Type': 'application/json'
+    },
+    data: data ? JSON.stringify(data) : undefined,
+    httpsAgent: instance.httpsAgent,
+    signal
+  };
+
+  try {
+    return await axios(config);
+  } catch (error) {
+    // Expired or revoked admin token: log in again and retry once
+    if (error.response?.status === 401 && invalidateAuthorization(instance, config.headers.Authorization)) {
+      config.headers.Authorization = await getAuthorizationHeader(instance, method, url);
+      return axios(config);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch the current state of the entity a write request targets
+ * @param {object} instance - Instance configuration
+ * @param {string} method - HTTP method of the write
+ * @param {string} endpoint - Endpoint of the write
+ * @param {object|null} data - Request body data
+ * @returns {Promise<object>} { targetEndpoint, state } (both null when the write creates a new entity)
+ */
+async function fetchTargetState(instance, method, endpoint, data) {
+  const targetEndpoint = resolveTargetEndpoint(method, endpoint, data);
+  if (!targetEndpoint) {
+    return { targetEndpoint: null, state: null };
+  }
+
+  try {
+    const state = await callMagentoApi(targetEndpoint, 'GET', null, { instance: instance.name, cache: false });
+    return { targetEndpoint, state };
+  } catch (error) {
+    return { targetEndpoint, state: { error: error.message } };
+  }
+}
+
+/**
+ * Record the write a dry-run tool call would send, together with the current state of its target,
+ * and interrupt the tool before anything is written
+ * @param {object} instance - Instance configuration
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @param {object|null} data - Request body data
+ * @throws {DryRunInterrupt} Always
+ */
+async function interruptDryRun(instance, method, endpoint, data) {
+  const context = getContext();
+  const { targetEndpoint, state } = await fetchTargetState(instance, method, endpoint, data);
+
+  const plan = {
+    tool: context.toolName,
+    instance: instance.name,
+    request: {
+      method: method.toUpperCase(),
+      endpoint,
+      url: `${scopedBaseUrl(instance, context.storeCode)}${endpoint}`,
+      payload: data
+    },
+    target_endpoint: targetEndpoint,
+    current_state: state
+  };
+
+  context.dryRunPlan = plan;
+  throw new DryRunInterrupt(plan);
+}
 
 /**
  * Make authenticated requests to Magento 2 API
  * @param {string} endpoint - API endpoint (e.g., '/products/SKU123')
  * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
  * @param {object|null} data - Request body data
+ * @param {object} options - Request options
+ * @param {string} options.instance - Magento instance name (defaults to the instance selected for the current tool call)
+ * @param {boolean} options.cache - Set to false to bypass the response cache
+ * @param {boolean} options.fields - Set to false to ignore the `fields` projection requested for the current tool call
+ * @param {string|null} options.storeCode - Store view code to scope the request to, or null for the base URL's scope
+ * (defaults to the `store_code` of the current tool call)
  * @returns {Promise<any>} API response data
+ * @throws {MagentoApiError} When the request fails
+ * @throws {RequestCancelledError} When the client cancelled the current tool call
+ * @throws {DryRunInterrupt} Instead of sending a write while the current tool call is a dry run
  */
-async function callMagentoApi(endpoint, method = 'GET', data = null) {
+async function callMagentoApi(endpoint, method = 'GET', data = null, options = {}) {
+  const isRead = method.toUpperCase() === 'GET';
+  if (!isRead && getContext().dryRun) {
+    return interruptDryRun(getInstanceConfig(options.instance || getContext().instance), method, endpoint, data);
+  }
+
+  const { fields, signal } = getContext();
+  if (isRead && fields && options.fields !== false) {
+    endpoint = withFieldsParam(endpoint, fields);
+  }
+  if (signal?.aborted) {
+    throw new RequestCancelledError();
+  }
+
+  // Writes of audited tool calls are recorded with a snapshot of their target taken just before
+  const auditedRequests = isRead ? undefined : getContext().auditedRequests;
+  let auditRecord;
+
+  const storeCode = options.storeCode !== undefined ? options.storeCode : getContext().storeCode;
+
+  let instance;
   try {
-    const url = `${MAGENTO_BASE_URL}${endpoint}`;
-    const headers = {
-      'Authorization': `Bearer ${MAGENTO_API_TOKEN}`,
-      'Content-Type': 'application/json'
-    };
+    instance = getInstanceConfig(options.instance || getContext().instance);
+    const url = `${scopedBaseUrl(instance, storeCode)}${endpoint}`;
+
+    if (auditedRequests) {
+      const { state } = await fetchTargetState(instance, method, endpoint, data);
+      auditRecord = { method: method.toUpperCase(), endpoint, payload: data, before: state };
+      auditedRequests.push(auditRecord);
+    }
 
-    const config = {
-      method,
-      url,
-      headers,
-      data: data ? JSON.stringify(data) : undefined,
-      httpsAgent
-    };
+    const cacheTtl = isRead && options.cache !== false ? getCacheTtl(instance, endpoint) : 0;
+    if (cacheTtl > 0) {
+      const cached = getCachedResponse(instance.name, endpoint, storeCode);
+      if (cached !== undefined) {
+        return cached;
+      }
+    }
+
+    const circuitBreaker = getCircuitBreaker(instance);
+    circuitBreaker.assertCanRequest();
+
+    // Every attempt waits for a slot in the instance's shared scheduler; backoff delays do not hold one
+    const scheduler = getScheduler(instance);
+
+    let response;
+    try {
+      response = await withRetry(
+        () => scheduler.schedule(() => sendRequest(instance, method, url, data, signal), signal),
+        method,
+        instance.retry,
+        (error, attempt, delay) => console.error(
+          `Magento API ${method} ${endpoint} failed (${error.response?.status || error.code}), ` +
+          `retry ${attempt}/${instance.retry.maxRetries} in ${delay}ms`
+        ),
+        signal
+      );
+    } catch (error) {
+      if (signal?.aborted) {
+        circuitBreaker.releaseTrial();
+        throw new RequestCancelledError();
+      }
+      if (isServerFailure(error)) {
+        circuitBreaker.recordFailure(error);
+      } else {
+        circuitBreaker.recordSuccess();
+      }
+      throw error;
+    }
+    circuitBreaker.recordSuccess();
+
+    if (auditRecord) {
+      auditRecord.status = response.status;
+      auditRecord.response = response.data;
+    }
+
+    if (cacheTtl > 0) {
+      setCachedResponse(instance.name, endpoint, response.data, cacheTtl, storeCode);
+    } else if (!isRead) {
+      invalidateResource(instance.name, endpoint);
+    }
 
-    const response = await axios(config);
     return response.data;
   } catch (error) {
+    if (error instanceof RequestCancelledError) {
+      if (auditRecord) {
+        auditRecord.error = error.message;
+      }
+      throw error;
+    }
+
     console.error('Magento API Error:', error.response?.data || error.message);
-    throw error;
+
+    // Configuration errors (e.g. an unknown instance) are not Magento errors and are thrown as they are
+    const apiError = error.isAxiosError || error instanceof CircuitOpenError
+      ? toMagentoApiError(error, { method: method.toUpperCase(), endpoint, instance: instance.name })
+      : error;
+
+    if (auditRecord) {
+      auditRecord.status = apiError.status;
+      auditRecord.error = apiError.message;
+    }
+    throw apiError;
   }
 }
 
 /**
- * Fetch all pages for a given search criteria
+ * Fetch one page of a search
  * @param {string} endpoint - API endpoint
- * @param {string} baseSearchCriteria - Search criteria query string
- * @returns {Promise<Array>} All items from all pages
+ * @param {string} searchCriteria - Search criteria query string without paging
+ * @param {number} pageSize - Page size
+ * @param {number} page - Page number
+ * @param {object} options - Request options passed to callMagentoApi
+ * @returns {Promise<object>} Search results of the page
  */
-async function fetchAllPages(endpoint, baseSearchCriteria) {
-  const pageSize = 100;
-  let currentPage = 1;
-  let allItems = [];
-  let totalCount = 0;
-
-  do {
-    // Build search criteria for the current page
-    let currentPageSearchCriteria = baseSearchCriteria;
-    if (!currentPageSearchCriteria.includes('searchCriteria[pageSize]')) {
-      currentPageSearchCriteria += `&searchCriteria[pageSize]=${pageSize}`;
-    }
-    if (!currentPageSearchCriteria.includes('searchCriteria[currentPage]')) {
-      currentPageSearchCriteria += `&searchCriteria[currentPage]=${currentPage}`;
-    } else {
-      currentPageSearchCriteria = currentPageSearchCriteria.replace(
-        /searchCriteria\[currentPage\]=\d+/,
-        `searchCriteria[currentPage]=${currentPage}`
-      );
-    }
+function fetchPage(endpoint, searchCriteria, pageSize, page, options) {
+  const paging = `searchCriteria[pageSize]=${pageSize}&searchCriteria[currentPage]=${page}`;
+  const query = searchCriteria && searchCriteria !== 'searchCriteria' ? `${searchCriteria}&${paging}` : paging;
+  return callMagentoApi(`${endpoint}?${query}`, 'GET', null, options);
+}
+
+/**
+ * Iterate over the pages of a search, yielding the items of each page in order.
+ * The first page is fetched alone to learn the total count; the following pages are then requested
+ * concurrently through the instance's scheduler, with at most `concurrency` pages in flight or buffered.
+ * Progress (items fetched of the total count) is reported to the client after every page.
+ * @param {string} endpoint - API endpoint
+ * @param {string} baseSearchCriteria - Search criteria query string (any paging in it is replaced)
+ * @param {object} options - Request options passed to callMagentoApi
+ * @param {number} options.pageSize - Items per page (default: MAGENTO_FETCH_PAGE_SIZE)
+ * @param {number} options.concurrency - Pages requested at once (default: the instance's maxConcurrency)
+ * @yields {Array} Items of each page
+ */
+async function* iteratePages(endpoint, baseSearchCriteria = '', options = {}) {
+  const { pageSize = MAGENTO_FETCH_PAGE_SIZE, concurrency, ...callOptions } = options;
+  const searchCriteria = baseSearchCriteria
+    .split('&')
+    .filter(param => param && !/^searchCriteria\[(pageSize|currentPage)\]=/.test(param))
+    .join('&');
 
-    // Make the API call for the current page
-    const responseData = await callMagentoApi(`${endpoint}?${currentPageSearchCriteria}`);
+  const first = await fetchPage(endpoint, searchCriteria, pageSize, 1, callOptions);
+  const firstItems = Array.isArray(first?.items) ? first.items : [];
+  const totalCount = typeof first?.total_count === 'number' ? first.total_count : undefined;
+  let fetched = firstItems.length;
+  reportProgress(fetched, totalCount, `Fetched page 1 (${fetched}${totalCount !== undefined ? ` of ${totalCount}` : ''} items)`);
+  yield firstItems;
 
-    if (responseData.items && Array.isArray(responseData.items)) {
-      allItems = allItems.concat(responseData.items);
-    }
+  if (firstItems.length < pageSize) {
+    return;
+  }
 
-    // Update total count (only needs to be set once)
-    if (currentPage === 1) {
-      totalCount = responseData.total_count || 0;
+  // Without a total count, walk the pages one by one until a short page
+  if (totalCount === undefined) {
+    for (let page = 2; ; page++) {
+      const data = await fetchPage(endpoint, searchCriteria, pageSize, page, callOptions);
+      const items = Array.isArray(data?.items) ? data.items : [];
+      fetched += items.length;
+      reportProgress(fetched, undefined, `Fetched page ${page} (${fetched} items)`);
+      yield items;
+      if (items.length < pageSize) {
+        return;
+      }
     }
+  }
+
+  const totalPages = Math.ceil(totalCount / pageSize);
+  const instanceConcurrency = getInstanceConfig(callOptions.instance || getContext().instance).rateLimit.maxConcurrency;
+  const windowSize = Math.max(1, concurrency ?? (instanceConcurrency > 0 ? instanceConcurrency : DEFAULT_PAGE_CONCURRENCY));
 
-    // Check if we need to fetch more pages
-    if (totalCount <= allItems.length || !responseData.items || responseData.items.length < pageSize) {
-      break;
+  const pending = new Map();
+  let nextPage = 2;
+  const fill = () => {
+    while (nextPage <= totalPages && pending.size < windowSize) {
+      const request = fetchPage(endpoint, searchCriteria, pageSize, nextPage, callOptions);
+      // Failures are rethrown when the page's turn comes; do not report them as unhandled meanwhile
+      request.catch(() => {});
+      pending.set(nextPage, request);
+      nextPage++;
     }
+  };
 
-    currentPage++;
+  fill();
+  for (let page = 2; page <= totalPages; page++) {
+    const data = await pending.get(page);
+    pending.delete(page);
+    fill();
 
-  } while (true);
+    const items = Array.isArray(data?.items) ? data.items : [];
+    fetched += items.length;
+    reportProgress(fetched, totalCount, `Fetched page ${page} of ${totalPages} (${fetched} of ${totalCount} items)`);
+    yield items;
+    if (items.length < pageSize) {
+      return;
+    }
+  }
+}
 
+/**
+ * Fetch all pages for a given search criteria
+ * @param {string} endpoint - API endpoint
+ * @param {string} baseSearchCriteria - Search criteria query string
+ * @param {object} options - Request and paging options (see iteratePages)
+ * @returns {Promise<Array>} All items from all pages
+ */
+async function fetchAllPages(endpoint, baseSearchCriteria, options = {}) {
+  const allItems = [];
+  for await (const items of iteratePages(endpoint, baseSearchCriteria, options)) {
+    allItems.push(...items);
+  }
   return allItems;
 }
 
 export {
   callMagentoApi,
+  iteratePages,
   fetchAllPages
 };
@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  MAGENTO_AUDIT_LOG_ENABLED,
+  MAGENTO_AUDIT_LOG_FILE,
+  MAGENTO_AUDIT_LOG_MAX_BYTES,
+  MAGENTO_AUDIT_LOG_MAX_FILES
+} from '../config.js';
+
+// Keys whose values never reach the audit log
+const SECRET_KEY_PATTERN = /password|passwd|secret|token|^otp$|authorization|api_?key|cc_number|cc_cid|cvv/i;
+
+// Longest tool result text kept in an entry
+const MAX_RESULT_LENGTH = 4000;
+
+// Shortest secret value scrubbed from free text; shorter ones would match unrelated text
+const MIN_SCRUBBED_SECRET_LENGTH = 6;
+
+let pendingWrite = Promise.resolve();
+
+/**
+ * Replace the values of secret-looking keys, recursively
+ * @param {any} value - Value to redact
+ * @returns {any} Redacted copy
+ */
+function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) && entry !== null && typeof entry !== 'object' ? '[REDACTED]' : redactSecrets(entry)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Collect the values of secret-looking keys, recursively, including inside strings holding JSON (tool results)
+ * @param {any} value - Value to search
+ * @param {Set<string>} [secrets] - Set to add the values to
+ * @returns {Set<string>} Secret values
+ */
+function collectSecretValues(value, secrets = new Set()) {
+  if (typeof value === 'string') {
+    if (/^\s*[{[]/.test(value)) {
+      try {
+        collectSecretValues(JSON.parse(value), secrets);
+      } catch {
+        // Not JSON (e.g. truncated); only its own secrets are scrubbed
+      }
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(entry => collectSecretValues(entry, secrets));
+  } else if (value && typeof value === 'object') {
+    for (const [key, entry] of Object.entries(value)) {
+      if (SECRET_KEY_PATTERN.test(key) && entry !== null && typeof entry !== 'object') {
+        secrets.add(String(entry));
+      } else {
+        collectSecretValues(entry, secrets);
+      }
+    }
+  }
+  return secrets;
+}
+
+/**
+ * Replace every occurrence of secret values in a text (e.g. a confirmation token quoted in a tool result message)
+ * @param {string|undefined} text - Free text
+ * @param {Set<string>} secrets - Secret values (see collectSecretValues)
+ * @returns {string|undefined} Scrubbed text
+ */
+function scrubSecretValues(text, secrets) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return [...secrets]
+    .filter(secret => secret.length >= MIN_SCRUBBED_SECRET_LENGTH)
+    .reduce((scrubbed, secret) => scrubbed.split(secret).join('[REDACTED]'), text);
+}
+
+/**
+ * Path of a rotated log file (0 = current file)
+ * @param {number} index - Rotation index
+ * @returns {string} File path
+ */
+function rotatedFile(index) {
+  return index === 0 ? MAGENTO_AUDIT_LOG_FILE : `${MAGENTO_AUDIT_LOG_FILE}.${index}`;
+}
+
+/**
+ * Rotate the log files when the current one has grown past MAGENTO_AUDIT_LOG_MAX_BYTES
+ * (audit.jsonl -> audit.jsonl.1 -> audit.jsonl.2 ..., the oldest is dropped)
+ */
+async function rotateIfNeeded() {
+  const stats = await fs.promises.stat(MAGENTO_AUDIT_LOG_FILE).catch(() => null);
+  if (!stats || stats.size < MAGENTO_AUDIT_LOG_MAX_BYTES) {
+    return;
+  }
+
+  await fs.promises.rm(rotatedFile(MAGENTO_AUDIT_LOG_MAX_FILES), { force: true });
+  for (let index = MAGENTO_AUDIT_LOG_MAX_FILES - 1; index >= 0; index--) {
+    await fs.promises.rename(rotatedFile(index), rotatedFile(index + 1)).catch(() => {});
+  }
+}
+
+/**
+ * Append an entry to the audit log. Secrets are redacted and writes are serialized.
+ * Secret values found anywhere in the entry (arguments, payloads, JSON results such as a confirmation token)
+ * are also scrubbed from the free text of its result and error.
+ * @param {object} entry - Entry fields (tool, instance, arguments, requests, outcome, ...)
+ * @returns {Promise<object>} The written entry, with its id and timestamp
+ */
+function writeAuditEntry(entry) {
+  const secrets = collectSecretValues(entry);
+  const result = scrubSecretValues(entry.result, secrets);
+  const record = redactSecrets({
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...entry,
+    result: typeof result === 'string' && result.length > MAX_RESULT_LENGTH
+      ? `${result.slice(0, MAX_RESULT_LENGTH)}... [truncated]`
+      : result,
+    error: scrubSecretValues(entry.error, secrets)
+  });
+
+  if (!MAGENTO_AUDIT_LOG_ENABLED) {
+    return Promise.resolve(record);
+  }
+
+  pendingWrite = pendingWrite
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(MAGENTO_AUDIT_LOG_FILE), { recursive: true });
+      await rotateIfNeeded();
+      await fs.promises.appendFile(MAGENTO_AUDIT_LOG_FILE, `${JSON.stringify(record)}\n`);
+    })
+    .catch(error => console.error(`Failed to write audit log ${MAGENTO_AUDIT_LOG_FILE}: ${error.message}`));
+
+  return pendingWrite.then(() => record);
+}
+
+/**
+ * Whether an entry concerns an entity: an argument value equal to it or an endpoint path segment matching it
+ * @param {object} entry - Audit entry
+ * @param {string} entity - Entity identifier (SKU, ID, increment ID, ...)
+ * @returns {boolean} True if the entry touched the entity
+ */
+function concernsEntity(entry, entity) {
+  const argumentMatch = Object.values(entry.arguments || {}).some(value => String(value) === entity);
+  const endpointMatch = (entry.requests || []).some(request =>
+    request.endpoint.split('?')[0].split('/').includes(encodeURIComponent(entity)));
+  return argumentMatch || endpointMatch;
+}
+
+/**
+ * Read audit entries, newest first
+ * @param {object} [filters]
+ * @param {string} [filters.id] - Only the entry with this ID
+ * @param {Function} [filters.tool] - Predicate on the tool name
+ * @param {string} [filters.instance] - Only entries of this instance
+ * @param {string} [filters.entity] - Only entries touching this entity
+ * @param {Date} [filters.since] - Only entries at or after this time
+ * @param {Date} [filters.until] - Only entries at or before this time
+ * @param {string} [filters.outcome] - Only entries with this outcome
+ * @param {number} [filters.limit] - Maximum number of entries
+ * @returns {Promise<Array>} Matching entries
+ */
+async function readAuditEntries({ id, tool, instance, entity, since, until, outcome, limit = 50 } = {}) {
+  // Let queued writes land first
+  await pendingWrite;
+
+  const matches = [];
+  for (let index = 0; index <= MAGENTO_AUDIT_LOG_MAX_FILES && matches.length < limit; index++) {
+    const content = await fs.promises.readFile(rotatedFile(index), 'utf8').catch(() => null);
+    if (content === null) {
+      continue;
+    }
+
+    const lines = content.split('\n').filter(Boolean).reverse();
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      const timestamp = new Date(entry.timestamp);
+      if (id && entry.id !== id) continue;
+      if (tool && !tool(entry.tool)) continue;
+      if (instance && entry.instance !== instance) continue;
+      if (entity && !concernsEntity(entry, entity)) continue;
+      if (outcome && entry.outcome !== outcome) continue;
+      if (since && timestamp < since) continue;
+      if (until && timestamp > until) continue;
+
+      matches.push(entry);
+      if (matches.length >= limit) break;
+    }
+  }
+
+  return matches;
+}
+
+export {
+  redactSecrets,
+  writeAuditEntry,
+  readAuditEntries
+};
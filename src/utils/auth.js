@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { buildOAuthHeader } from './oauth1.js';
+import { MagentoApiError, renderMagentoMessage } from './errors.js';
+
+// Magento's default admin token lifetime is 4 hours
+const DEFAULT_ADMIN_TOKEN_LIFETIME_MINUTES = 240;
+
+// Refresh cached admin tokens a little before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Instance name -> { token, expiresAt } or { pending } while a token is being requested
+const adminTokens = new Map();
+
+/**
+ * Decode a base32 (RFC 4648) string, as used for TOTP secrets
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+
+  for (const char of cleaned) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid character in base32 TOTP secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate the current TOTP code (RFC 6238: SHA-1, 30 second step, 6 digits),
+ * compatible with Magento's Google Authenticator 2FA provider
+ * @param {string} secret - Base32 encoded shared secret
+ * @returns {string} 6 digit one-time password
+ */
+function generateTotp(secret) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 1000 / 30)));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+
+  return code.toString().padStart(6, '0');
+}
+
+/**
+ * Request a new admin token with the instance's username/password,
+ * going through the 2FA provider endpoint when one is configured
+ * @param {object} instance - Instance configuration
+ * @returns {Promise<string>} Admin token
+ */
+async function requestAdminToken(instance) {
+  const { username, password, tfaProvider, tfaSecret } = instance.auth;
+
+  let endpoint = '/integration/admin/token';
+  const credentials = { username, password };
+
+  if (tfaProvider) {
+    endpoint = `/tfa/provider/${tfaProvider}/authenticate`;
+    credentials.otp = generateTotp(tfaSecret);
+  }
+
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: `${instance.baseUrl}${endpoint}`,
+      headers: { 'Content-Type': 'application/json' },
+      data: JSON.stringify(credentials),
+      httpsAgent: instance.httpsAgent
+    });
+    return response.data;
+  } catch (error) {
+    const data = error.response?.data;
+    const reason = renderMagentoMessage(data?.message, data?.parameters) || error.message;
+    throw new MagentoApiError({
+      type: error.response ? 'auth' : 'network',
+      message: `Admin login failed for Magento instance '${instance.name}': ${reason}`,
+      status: error.response?.status,
+      // Keep network error codes so an unreachable server is still recognized as such
+      code: error.code,
+      method: 'POST',
+      endpoint,
+      instance: instance.name
+    });
+  }
+}
+
+/**
+ * Get a cached admin token for the instance, requesting a new one when missing or expired.
+ * Concurrent callers share a single token request.
+ * @param {object} instance - Instance configuration
+ * @returns {Promise<string>} Admin token
+ */
+async function getAdminToken(instance) {
+  const cached = adminTokens.get(instance.name);
+
+  if (cached?.pending) {
+    return cached.pending;
+  }
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.token;
+  }
+
+  const lifetimeMinutes = instance.auth.tokenLifetimeMinutes || DEFAULT_ADMIN_TOKEN_LIFETIME_MINUTES;
+  const pending = requestAdminToken(instance)
+    .then(token => {
+      adminTokens.set(instance.name, {
+        token,
+        expiresAt: Date.now() + lifetimeMinutes * 60 * 1000 - TOKEN_EXPIRY_MARGIN_MS
+      });
+      return token;
+    })
+    .catch(error => {
+      adminTokens.delete(instance.name);
+      throw error;
+    });
+
+  adminTokens.set(instance.name, { pending });
+  return pending;
+}
+
+/**
+ * Build the Authorization header for a request to a Magento instance
+ * @param {object} instance - Instance configuration (see getInstanceConfig)
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL including query string
+ * @returns {Promise<string>} Authorization header value
+ */
+async function getAuthorizationHeader(instance, method, url) {
+  const { auth } = instance;
+
+  switch (auth.type) {
+    case 'oauth1':
+      return buildOAuthHeader(method, url, auth);
+    case 'admin':
+      return `Bearer ${await getAdminToken(instance)}`;
+    case 'bearer':
+    default:
+      return `Bearer ${auth.token}`;
+  }
+}
+
+/**
+ * Forget cached credentials after Magento rejected them
+ * @param {object} instance - Instance configuration
+ * @param {string} rejectedAuthorization - The Authorization header Magento rejected
+ * @returns {boolean} True if new credentials can be obtained and the request is worth retrying
+ */
+function invalidateAuthorization(instance, rejectedAuthorization) {
+  if (instance.auth.type !== 'admin') {
+    return false;
+  }
+
+  // Another request may already have replaced the rejected token
+  const cached = adminTokens.get(instance.name);
+  if (!cached?.pending && rejectedAuthorization === `Bearer ${cached?.token}`) {
+    adminTokens.delete(instance.name);
+  }
+  return true;
+}
+
+export {
+  getAuthorizationHeader,
+  invalidateAuthorization
+};
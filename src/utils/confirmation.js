@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import { MAGENTO_CONFIRMATION_ENABLED, MAGENTO_CONFIRMATION_TTL_SECONDS } from '../config.js';
+
+// Money-moving tools that need confirmation in addition to every delete_* tool
+const CONFIRMED_TOOLS = ['create_creditmemo', 'cancel_order'];
+
+// Token -> { fingerprint, expiresAt }
+const pendingConfirmations = new Map();
+
+/**
+ * Whether a tool must be called twice, the second time with a confirmation token
+ * @param {string} toolName - Tool name
+ * @returns {boolean} True for destructive tools when confirmation is enabled
+ */
+function requiresConfirmation(toolName) {
+  return MAGENTO_CONFIRMATION_ENABLED && (toolName.startsWith('delete_') || CONFIRMED_TOOLS.includes(toolName));
+}
+
+/**
+ * Serialize a value to JSON with object keys sorted, so equal arguments give equal strings
+ * @param {any} value - Value to serialize
+ * @returns {string} JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Fingerprint of a tool call a token is bound to
+ * @param {string} toolName - Tool name
+ * @param {string} instance - Instance name
+ * @param {object} args - Tool arguments
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprint(toolName, instance, args) {
+  return crypto.createHash('sha256').update(stableStringify({ toolName, instance, args })).digest('hex');
+}
+
+/**
+ * Drop expired tokens
+ */
+function pruneExpired() {
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expiresAt <= now) {
+      pendingConfirmations.delete(token);
+    }
+  }
+}
+
+/**
+ * Issue a short-lived, single-use token confirming exactly this tool call
+ * @param {string} toolName - Tool name
+ * @param {string} instance - Instance name
+ * @param {object} args - Tool arguments
+ * @returns {string} Confirmation token
+ */
+function issueConfirmationToken(toolName, instance, args) {
+  pruneExpired();
+
+  const token = crypto.randomBytes(6).toString('hex');
+  pendingConfirmations.set(token, {
+    fingerprint: fingerprint(toolName, instance, args),
+    expiresAt: Date.now() + MAGENTO_CONFIRMATION_TTL_SECONDS * 1000
+  });
+  return token;
+}
+
+/**
+ * Check and consume a confirmation token
+ * @param {string} token - Token passed by the caller
+ * @param {string} toolName - Tool name
+ * @param {string} instance - Instance name
+ * @param {object} args - Tool arguments
+ * @returns {boolean} True if the token was issued for this exact call and has not expired
+ */
+function consumeConfirmationToken(token, toolName, instance, args) {
+  pruneExpired();
+
+  const pending = pendingConfirmations.get(token);
+  if (!pending || pending.fingerprint !== fingerprint(toolName, instance, args)) {
+    return false;
+  }
+
+  pendingConfirmations.delete(token);
+  return true;
+}
+
+/**
+ * Format the first call of a confirmed tool as a tool result
+ * @param {object} plan - Dry-run plan of the call (see callMagentoApi)
+ * @param {string} token - Confirmation token
+ * @returns {object} MCP tool result
+ */
+function formatConfirmationRequest(plan, token) {
+  const result = {
+    confirmation_required: true,
+    message: `Nothing was changed. To proceed, call ${plan.tool} again with the same arguments and ` +
+      `confirmation_token "${token}" within ${MAGENTO_CONFIRMATION_TTL_SECONDS} seconds.`,
+    confirmation_token: token,
+    expires_in_seconds: MAGENTO_CONFIRMATION_TTL_SECONDS,
+    ...plan
+  };
+
+  return {
+    content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+  };
+}
+
+export {
+  requiresConfirmation,
+  issueConfirmationToken,
+  consumeConfirmationToken,
+  formatConfirmationRequest
+};
@@ -0,0 +1,65 @@
+import { callMagentoApi } from './api-client.js';
+
+// Amounts analytics can sum: the store's base currency amounts (base_grand_total, ...) or each order's own
+// currency amounts (grand_total, ...)
+const AMOUNT_BASES = ['base', 'order'];
+
+/**
+ * Get the store's base currency and exchange rates from /directory/currency
+ * @returns {Promise<object>} { baseCurrency, rates } where rates maps a currency code to the units of it one unit of
+ * the base currency buys (baseCurrency is undefined when the response does not give it)
+ */
+async function getCurrencyInfo() {
+  const currency = await callMagentoApi('/directory/currency', 'GET', null, { fields: false }) || {};
+  const rates = Object.fromEntries(
+    (currency.exchange_rates || []).map(exchangeRate => [exchangeRate.currency_to, parseFloat(exchangeRate.rate)])
+  );
+
+  return { baseCurrency: currency.base_currency_code, rates };
+}
+
+/**
+ * Get an amount of an order or order item in the chosen basis
+ * @param {object} entity - Order or order item
+ * @param {string} field - Order currency field (e.g. 'grand_total'); the base amount is read from `base_<field>`
+ * @param {string} basis - 'base' or 'order'
+ * @returns {number} Amount (0 when missing)
+ */
+function amountOf(entity, field, basis) {
+  return parseFloat((basis === 'base' ? entity[`base_${field}`] : entity[field]) || 0);
+}
+
+/**
+ * Get the currency the amounts of an order are in for the chosen basis
+ * @param {object} order - Magento order
+ * @param {string} basis - 'base' or 'order'
+ * @param {string} baseCurrency - Store base currency, used when the order does not say
+ * @returns {string|null} Currency code, or null when neither the order nor the store gives one
+ */
+function currencyOf(order, basis, baseCurrency) {
+  return (basis === 'base' ? order.base_currency_code : order.order_currency_code) || baseCurrency || null;
+}
+
+/**
+ * Convert an amount to the store's base currency
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency of the amount
+ * @param {object} currencyInfo - Result of getCurrencyInfo
+ * @returns {number|null} Amount in the base currency, or null when there is no exchange rate for the currency
+ */
+function toBaseCurrency(amount, currency, { baseCurrency, rates }) {
+  if (!currency || currency === baseCurrency) {
+    return amount;
+  }
+
+  const rate = rates[currency];
+  return rate > 0 ? amount / rate : null;
+}
+
+export {
+  AMOUNT_BASES,
+  getCurrencyInfo,
+  amountOf,
+  currencyOf,
+  toBaseCurrency
+};
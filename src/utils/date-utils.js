@@ -2,15 +2,25 @@ import {
   format,
   parseISO,
   isValid,
+  addDays,
+  addYears,
   subDays,
-  startOfDay,
-  endOfDay,
+  subWeeks,
+  subMonths,
+  subQuarters,
+  subYears,
   startOfWeek,
   endOfWeek,
   startOfMonth,
   endOfMonth,
+  startOfQuarter,
+  endOfQuarter,
   startOfYear
 } from 'date-fns';
+import { SearchCriteriaBuilder } from './search-criteria.js';
+import { callMagentoApi } from './api-client.js';
+import { getContext } from './request-context.js';
+import { MAGENTO_FISCAL_YEAR_START_MONTH } from '../config.js';
 
 /**
  * Helper function to get the end of a year
@@ -19,141 +29,421 @@ function endOfYear(date) {
   return new Date(date.getFullYear(), 11, 31, 23, 59, 59, 999);
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time zone of the Node process, used when no store time zone is given
+const PROCESS_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Time zone -> Intl formatter giving the wall-clock time in that zone
+const zoneFormatters = new Map();
+
 /**
- * Parse date expressions like "today", "last month", "ytd", etc.
- * @param {string} dateExpression - The date expression to parse
- * @returns {object} Object with startDate, endDate, and description
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone (e.g. 'Europe/Madrid')
+ * @returns {object} { year, month (1-12), day, hours, minutes, seconds }
+ * @throws {Error} If the time zone is unknown
+ */
+function zonedParts(date, timeZone) {
+  let formatter = zoneFormatters.get(timeZone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    } catch {
+      throw new Error(`Unknown time zone '${timeZone}'`);
+    }
+    zoneFormatters.set(timeZone, formatter);
+  }
+
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, Number(part.value)]));
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second
+  };
+}
+
+/**
+ * Get the instant a wall-clock time in a time zone corresponds to. A time repeated when the clocks go back gives its
+ * earlier instant, and a time skipped when they go forward gives the instant as if the clocks had not moved yet (so
+ * midnight on a day starting at 01:00 gives the instant the day starts).
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {Array<number>} time - [hours, minutes, seconds, milliseconds]
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(year, month, day, [hours, minutes, seconds, milliseconds], timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds);
+  const offsetAt = instant => {
+    const parts = zonedParts(new Date(instant), timeZone);
+    const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+    return zoned - Math.floor(instant / 1000) * 1000;
+  };
+
+  // The offsets a day before and after differ when a DST change is near; each gives a candidate instant
+  const candidates = [...new Set([offsetAt(wallClock - DAY_MS), offsetAt(wallClock + DAY_MS)])]
+    .map(offset => wallClock - offset)
+    .sort((a, b) => a - b);
+  const matching = candidates.find(instant => instant + offsetAt(instant) === wallClock);
+  return new Date(matching ?? candidates[candidates.length - 1]);
+}
+
+/**
+ * Get the instant a calendar day starts in a time zone
+ * @param {Date} date - Calendar date (local midnight)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} First instant of the day
+ */
+function startOfZonedDay(date, timeZone) {
+  return zonedTimeToUtc(date.getFullYear(), date.getMonth() + 1, date.getDate(), [0, 0, 0, 0], timeZone);
+}
+
+/**
+ * Get the instant a calendar day ends in a time zone (the millisecond before the next day starts, so the hour
+ * repeated when the clocks go back late in the day is included)
+ * @param {Date} date - Calendar date (local midnight)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Last instant of the day
+ */
+function endOfZonedDay(date, timeZone) {
+  return new Date(startOfZonedDay(addDays(date, 1), timeZone).getTime() - 1);
+}
+
+/**
+ * Format an instant as 'yyyy-MM-dd HH:mm:ss' wall-clock time in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Formatted date
  */
-function parseDateExpression(dateExpression) {
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth();
+function formatInTimeZone(date, timeZone) {
+  const { year, month, day, hours, minutes, seconds } = zonedParts(date, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+}
 
-  // Normalize the date expression
-  const normalizedExpression = dateExpression.toLowerCase().trim();
+// Forms accepted by parseDateExpression, listed in its error message
+const SUPPORTED_DATE_EXPRESSIONS = [
+  'today', 'yesterday', 'this week', 'last week', 'this month', 'last month', 'MTD', 'this quarter', 'last quarter',
+  'QTD', 'YTD', 'last year', 'last N days/weeks/months/years', 'Q1 2025', 'March 2025', 'this fiscal year',
+  'last fiscal year', 'FYTD', 'FY2025', '2025-01-01', '2025-01-01 to 2025-01-31', 'since 2025-01-01',
+  '<any of these> same period last year'
+];
+
+// Month names and abbreviations -> month index
+const MONTHS = Object.fromEntries(
+  ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december']
+    .flatMap((name, index) => [[name, index], [name.slice(0, 3), index]])
+    .concat([['sept', 8]])
+);
+
+/**
+ * Get the first day of the fiscal year ending in a given year (FY2025 is the fiscal year ending in 2025)
+ * @param {number} fiscalYear - Fiscal year
+ * @returns {Date} First day of the fiscal year
+ * @throws {Error} If MAGENTO_FISCAL_YEAR_START_MONTH is not a month number
+ */
+function startOfFiscalYear(fiscalYear) {
+  const startMonth = MAGENTO_FISCAL_YEAR_START_MONTH;
+  if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+    throw new Error(`MAGENTO_FISCAL_YEAR_START_MONTH must be a month number from 1 to 12, got ${startMonth}`);
+  }
+  return new Date(startMonth === 1 ? fiscalYear : fiscalYear - 1, startMonth - 1, 1);
+}
+
+/**
+ * Get the fiscal year a date falls in
+ * @param {Date} date - Calendar date
+ * @returns {number} Fiscal year (the calendar year it ends in)
+ */
+function fiscalYearOf(date) {
+  const nextFiscalYear = date.getFullYear() + 1;
+  return date >= startOfFiscalYear(nextFiscalYear) ? nextFiscalYear : date.getFullYear();
+}
+
+/**
+ * Get the whole range of a fiscal year
+ * @param {number} fiscalYear - Fiscal year
+ * @returns {object} Object with startDate, endDate and description
+ */
+function fiscalYearRange(fiscalYear) {
+  const startDate = startOfFiscalYear(fiscalYear);
+  return { startDate, endDate: subDays(addYears(startDate, 1), 1), description: `Fiscal year ${fiscalYear}` };
+}
+
+/**
+ * Resolve a date expression to a range of calendar days, relative to a calendar date
+ * @param {string} normalizedExpression - Lower-cased, trimmed date expression
+ * @param {Date} today - Today's calendar date (local midnight)
+ * @returns {object|null} Object with startDate, endDate (local dates of the first and last day) and description,
+ * or null if the expression is not recognized
+ */
+function resolveCalendarRange(normalizedExpression, today) {
+  const currentYear = today.getFullYear();
+  const currentMonth = today.getMonth();
+
+  // "<expression> same period last year" shifts the range one year back; on its own it compares with year to date
+  const samePeriod = normalizedExpression.match(/^(.*?)[\s,]*same period (?:of |as )?last year$/);
+  if (samePeriod) {
+    const range = resolveCalendarRange(samePeriod[1] || 'ytd', today);
+    return range && {
+      startDate: subYears(range.startDate, 1),
+      endDate: subYears(range.endDate, 1),
+      description: `${range.description}, same period last year`
+    };
+  }
 
   // Handle relative date expressions
   switch (normalizedExpression) {
     case 'today':
-      return {
-        startDate: startOfDay(now),
-        endDate: endOfDay(now),
-        description: 'Today'
-      };
+      return { startDate: today, endDate: today, description: 'Today' };
     case 'yesterday':
-      const yesterday = subDays(now, 1);
-      return {
-        startDate: startOfDay(yesterday),
-        endDate: endOfDay(yesterday),
-        description: 'Yesterday'
-      };
+      const yesterday = subDays(today, 1);
+      return { startDate: yesterday, endDate: yesterday, description: 'Yesterday' };
     case 'this week':
       return {
-        startDate: startOfWeek(now, { weekStartsOn: 1 }), // Week starts on Monday
-        endDate: endOfDay(now),
+        startDate: startOfWeek(today, { weekStartsOn: 1 }), // Week starts on Monday
+        endDate: today,
         description: 'This week'
       };
     case 'last week':
-      const lastWeekStart = subDays(startOfWeek(now, { weekStartsOn: 1 }), 7);
-      const lastWeekEnd = subDays(endOfWeek(now, { weekStartsOn: 1 }), 7);
       return {
-        startDate: lastWeekStart,
-        endDate: lastWeekEnd,
+        startDate: subDays(startOfWeek(today, { weekStartsOn: 1 }), 7),
+        endDate: subDays(endOfWeek(today, { weekStartsOn: 1 }), 7),
         description: 'Last week'
       };
     case 'this month':
-      return {
-        startDate: startOfMonth(now),
-        endDate: endOfDay(now),
-        description: 'This month'
-      };
+      return { startDate: startOfMonth(today), endDate: today, description: 'This month' };
+    case 'mtd':
+    case 'month to date':
+      return { startDate: startOfMonth(today), endDate: today, description: 'Month to date' };
     case 'last month':
       const lastMonth = new Date(currentYear, currentMonth - 1, 1);
-      return {
-        startDate: startOfMonth(lastMonth),
-        endDate: endOfMonth(lastMonth),
-        description: 'Last month'
-      };
+      return { startDate: startOfMonth(lastMonth), endDate: endOfMonth(lastMonth), description: 'Last month' };
+    case 'this quarter':
+      return { startDate: startOfQuarter(today), endDate: today, description: 'This quarter' };
+    case 'qtd':
+    case 'quarter to date':
+      return { startDate: startOfQuarter(today), endDate: today, description: 'Quarter to date' };
+    case 'last quarter':
+      const lastQuarter = subQuarters(startOfQuarter(today), 1);
+      return { startDate: lastQuarter, endDate: endOfQuarter(lastQuarter), description: 'Last quarter' };
     case 'ytd':
     case 'this ytd':
     case 'this year to date':
     case 'year to date':
-      return {
-        startDate: startOfYear(now),
-        endDate: endOfDay(now),
-        description: 'Year to date'
-      };
+      return { startDate: startOfYear(today), endDate: today, description: 'Year to date' };
     case 'last year':
       const lastYear = new Date(currentYear - 1, 0, 1);
+      return { startDate: startOfYear(lastYear), endDate: endOfYear(lastYear), description: 'Last year' };
+    case 'this fiscal year':
+      return { ...fiscalYearRange(fiscalYearOf(today)), endDate: today, description: 'This fiscal year' };
+    case 'fytd':
+    case 'fiscal year to date':
+      return { ...fiscalYearRange(fiscalYearOf(today)), endDate: today, description: 'Fiscal year to date' };
+    case 'last fiscal year':
+      return { ...fiscalYearRange(fiscalYearOf(today) - 1), description: 'Last fiscal year' };
+  }
+
+  // "last 30 days", "last 2 weeks", ...: rolling windows ending today
+  const rolling = normalizedExpression.match(/^(?:last|past) (\d+) (day|week|month|year)s?$/);
+  if (rolling) {
+    const count = parseInt(rolling[1], 10);
+    if (count < 1) {
+      return null;
+    }
+    const before = { day: subDays, week: subWeeks, month: subMonths, year: subYears }[rolling[2]];
+    return {
+      startDate: addDays(before(today, count), 1),
+      endDate: today,
+      description: `Last ${count} ${rolling[2]}${count === 1 ? '' : 's'}`
+    };
+  }
+
+  // "Q1 2025" or "2025 Q1"
+  const quarter = normalizedExpression.match(/^q([1-4])[\s-]+(\d{4})$/);
+  const yearQuarter = normalizedExpression.match(/^(\d{4})[\s-]+q([1-4])$/);
+  if (quarter || yearQuarter) {
+    const [number, year] = quarter ? [quarter[1], quarter[2]] : [yearQuarter[2], yearQuarter[1]];
+    const startDate = new Date(parseInt(year, 10), (parseInt(number, 10) - 1) * 3, 1);
+    return { startDate, endDate: endOfQuarter(startDate), description: `Q${number} ${year}` };
+  }
+
+  // "March 2025" or "Mar 2025"
+  const month = normalizedExpression.match(/^([a-z]+)\.? (\d{4})$/);
+  if (month && MONTHS[month[1]] !== undefined) {
+    const startDate = new Date(parseInt(month[2], 10), MONTHS[month[1]], 1);
+    return { startDate, endDate: endOfMonth(startDate), description: format(startDate, 'MMMM yyyy') };
+  }
+
+  // "FY2025", "FY 2025" or "fiscal year 2025"
+  const fiscalYear = normalizedExpression.match(/^(?:fy|fiscal year) ?(\d{4})$/);
+  if (fiscalYear) {
+    return fiscalYearRange(parseInt(fiscalYear[1], 10));
+  }
+
+  // "since 2025-01-01"
+  const since = normalizedExpression.match(/^since (.+)$/);
+  if (since) {
+    const startDate = parseISO(since[1]);
+    return isValid(startDate)
+      ? { startDate, endDate: today, description: `Since ${format(startDate, 'yyyy-MM-dd')}` }
+      : null;
+  }
+
+  // Check if it's a single date (not a range)
+  const parsedDate = parseISO(normalizedExpression);
+  if (isValid(parsedDate)) {
+    return { startDate: parsedDate, endDate: parsedDate, description: format(parsedDate, 'yyyy-MM-dd') };
+  }
+
+  // Check if it's a date range in format "YYYY-MM-DD to YYYY-MM-DD"
+  const rangeParts = normalizedExpression.split(' to ');
+  if (rangeParts.length === 2) {
+    const startDate = parseISO(rangeParts[0]);
+    const endDate = parseISO(rangeParts[1]);
+
+    if (isValid(startDate) && isValid(endDate)) {
       return {
-        startDate: startOfYear(lastYear),
-        endDate: endOfYear(lastYear),
-        description: 'Last year'
+        startDate,
+        endDate,
+        description: `${format(startDate, 'yyyy-MM-dd')} to ${format(endDate, 'yyyy-MM-dd')}`
       };
-    default:
-      // Try to parse as ISO date or other common formats
-      try {
-        // Check if it's a single date (not a range)
-        const parsedDate = parseISO(normalizedExpression);
-        if (isValid(parsedDate)) {
-          return {
-            startDate: startOfDay(parsedDate),
-            endDate: endOfDay(parsedDate),
-            description: format(parsedDate, 'yyyy-MM-dd')
-          };
-        }
-
-        // Check if it's a date range in format "YYYY-MM-DD to YYYY-MM-DD"
-        const rangeParts = normalizedExpression.split(' to ');
-        if (rangeParts.length === 2) {
-          const startDate = parseISO(rangeParts[0]);
-          const endDate = parseISO(rangeParts[1]);
-
-          if (isValid(startDate) && isValid(endDate)) {
-            return {
-              startDate: startOfDay(startDate),
-              endDate: endOfDay(endDate),
-              description: `${format(startDate, 'yyyy-MM-dd')} to ${format(endDate, 'yyyy-MM-dd')}`
-            };
-          }
-        }
-
-        // If we can't parse it, throw an error
-        throw new Error(`Unable to parse date expression: ${dateExpression}`);
-      } catch (error) {
-        throw new Error(`Invalid date expression: ${dateExpression}. ${error.message}`);
-      }
+    }
   }
+
+  return null;
 }
 
 /**
- * Format a date for Magento API
+ * Parse date expressions like "today", "last 30 days", "Q1 2025", "March 2025", "last fiscal year", etc.
+ * (see SUPPORTED_DATE_EXPRESSIONS). Days are calendar days in the given time zone, so "today" is today in the store
+ * rather than on the server.
+ * @param {string} dateExpression - The date expression to parse
+ * @param {string} [timeZone] - IANA time zone the days are in (default: the time zone of the Node process)
+ * @returns {object} Object with startDate and endDate (the instants the first day starts and the last day ends),
+ * description and timeZone
+ */
+function parseDateExpression(dateExpression, timeZone = PROCESS_TIME_ZONE) {
+  const now = zonedParts(new Date(), timeZone);
+  const today = new Date(now.year, now.month - 1, now.day);
+
+  const range = resolveCalendarRange(dateExpression.toLowerCase().trim().replace(/\s+/g, ' '), today);
+  if (!range) {
+    throw new Error(`Invalid date expression: ${dateExpression}. Supported forms: ${SUPPORTED_DATE_EXPRESSIONS.join(', ')}`);
+  }
+  if (range.startDate > range.endDate) {
+    throw new Error(`Invalid date expression: ${dateExpression} (the range starts after it ends)`);
+  }
+
+  return {
+    startDate: startOfZonedDay(range.startDate, timeZone),
+    endDate: endOfZonedDay(range.endDate, timeZone),
+    description: range.description,
+    timeZone
+  };
+}
+
+/**
+ * Describe a parsed date range both in its time zone and in UTC, for echoing back in tool results
+ * @param {object} dateRange - Result of parseDateExpression
+ * @returns {object} { start_date, end_date, timezone, store_time: { from, to }, utc: { from, to } }
+ */
+function describeDateRange({ startDate, endDate, timeZone }) {
+  const storeTime = { from: formatInTimeZone(startDate, timeZone), to: formatInTimeZone(endDate, timeZone) };
+  return {
+    start_date: storeTime.from.slice(0, 10),
+    end_date: storeTime.to.slice(0, 10),
+    timezone: timeZone,
+    store_time: storeTime,
+    utc: { from: formatDateForMagento(startDate), to: formatDateForMagento(endDate) }
+  };
+}
+
+/**
+ * Get the time zone of the store the current tool call is about, from /store/storeConfigs:
+ * the store view selected with `store_code`, otherwise the default store view
+ * @returns {Promise<string>} IANA time zone (UTC when the store has none configured)
+ */
+async function getStoreTimezone() {
+  const { storeCode } = getContext();
+  const storeConfigs = await callMagentoApi('/store/storeConfigs', 'GET', null, { fields: false, storeCode: null }) || [];
+
+  const storeConfig = storeConfigs.find(config => config.code === storeCode) ||
+    storeConfigs.find(config => config.code === 'default') ||
+    storeConfigs[0];
+  return storeConfig?.timezone || 'UTC';
+}
+
+/**
+ * Format a date for Magento API. Magento stores dates in UTC, so the date is formatted in UTC.
  * @param {Date} date - The date to format
  * @returns {string} Formatted date string
  */
 function formatDateForMagento(date) {
-  return format(date, "yyyy-MM-dd HH:mm:ss");
+  return date.toISOString().slice(0, 19).replace('T', ' ');
 }
 
 /**
  * Build date range filter for Magento API
  * @param {string} field - The field name to filter on
- * @param {Date} startDate - Start date of the range
- * @param {Date} endDate - End date of the range
- * @returns {string} URL-encoded filter string
+ * @param {Date} [startDate] - Start date of the range (omitted for no lower bound)
+ * @param {Date} [endDate] - End date of the range (omitted for no upper bound)
+ * @param {SearchCriteriaBuilder} [criteria] - Builder to add the filters to (default: a new one)
+ * @returns {SearchCriteriaBuilder} The builder, with one filter group per bound
+ */
+function buildDateRangeFilter(field, startDate, endDate, criteria = new SearchCriteriaBuilder()) {
+  if (startDate) {
+    criteria.addFilter(field, formatDateForMagento(startDate), 'gteq');
+  }
+  if (endDate) {
+    criteria.addFilter(field, formatDateForMagento(endDate), 'lteq');
+  }
+  return criteria;
+}
+
+/**
+ * Add filters for a range of calendar days (YYYY-MM-DD) in the store's time zone, converted to UTC
+ * @param {string} field - The field name to filter on
+ * @param {string} [dateFrom] - First day of the range (omitted for no lower bound)
+ * @param {string} [dateTo] - Last day of the range (omitted for no upper bound)
+ * @param {SearchCriteriaBuilder} criteria - Builder to add the filters to
+ * @returns {Promise<SearchCriteriaBuilder>} The builder
+ * @throws {Error} If a date is not a valid YYYY-MM-DD date
  */
-function buildDateRangeFilter(field, startDate, endDate) {
-  const formattedStartDate = formatDateForMagento(startDate);
-  const formattedEndDate = formatDateForMagento(endDate);
-
-  return [
-    `searchCriteria[filter_groups][0][filters][0][field]=${field}`,
-    `searchCriteria[filter_groups][0][filters][0][value]=${encodeURIComponent(formattedStartDate)}`,
-    `searchCriteria[filter_groups][0][filters][0][condition_type]=gteq`,
-    `searchCriteria[filter_groups][1][filters][0][field]=${field}`,
-    `searchCriteria[filter_groups][1][filters][0][value]=${encodeURIComponent(formattedEndDate)}`,
-    `searchCriteria[filter_groups][1][filters][0][condition_type]=lteq`
-  ].join('&');
+async function buildDayRangeFilter(field, dateFrom, dateTo, criteria) {
+  if (!dateFrom && !dateTo) {
+    return criteria;
+  }
+
+  const timeZone = await getStoreTimezone();
+  const parseDay = date => {
+    const parsed = parseISO(date);
+    if (!isValid(parsed)) {
+      throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+    }
+    return parsed;
+  };
+
+  return buildDateRangeFilter(
+    field,
+    dateFrom ? startOfZonedDay(parseDay(dateFrom), timeZone) : undefined,
+    dateTo ? endOfZonedDay(parseDay(dateTo), timeZone) : undefined,
+    criteria
+  );
 }
 
 /**
@@ -269,8 +559,13 @@ function normalizeCountry(country) {
 
 export {
   parseDateExpression,
+  resolveCalendarRange,
+  zonedTimeToUtc,
+  describeDateRange,
+  getStoreTimezone,
   formatDateForMagento,
   buildDateRangeFilter,
+  buildDayRangeFilter,
   normalizeCountry,
   endOfYear
 };
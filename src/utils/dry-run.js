@@ -0,0 +1,68 @@
+/**
+ * Error thrown instead of sending a write request while a tool runs in dry-run mode.
+ * It stops the tool at its first write; the planned request is kept in the tool call context.
+ */
+class DryRunInterrupt extends Error {
+  constructor(plan) {
+    super(`Dry run: ${plan.request.method} ${plan.request.endpoint} was not sent`);
+    this.name = 'DryRunInterrupt';
+    this.code = 'DRY_RUN';
+    this.plan = plan;
+  }
+}
+
+// Write endpoints whose target entity is read from a different endpoint: [pattern, GET endpoint builder]
+const TARGET_ENDPOINTS = [
+  [/^\/order\/(\d+)\/(invoice|ship|refund)$/, match => `/orders/${match[1]}`],
+  [/^\/orders\/(\d+)\/(comments|cancel|hold|unhold)$/, match => `/orders/${match[1]}`],
+  [/^\/categories\/(\d+)\/move$/, match => `/categories/${match[1]}`],
+  [/^\/categories\/(\d+)\/products(\/.*)?$/, match => `/categories/${match[1]}/products`],
+  [/^\/products\/([^/]+)\/stockItems\/\d+$/, match => `/stockItems/${match[1]}`],
+  [/^\/products\/([^/]+)\/media$/, match => `/products/${match[1]}/media`],
+  [/^\/products\/attributes\/([^/]+)\/options$/, match => `/products/attributes/${match[1]}/options`],
+  [/^\/shipment\/track$/, (match, data) => data?.entity?.parent_id ? `/shipment/${data.entity.parent_id}` : null]
+];
+
+/**
+ * Find the endpoint returning the current state of the entity a write request targets
+ * @param {string} method - HTTP method of the write
+ * @param {string} endpoint - Endpoint of the write
+ * @param {object|null} data - Request body
+ * @returns {string|null} GET endpoint, or null when the write creates a new entity
+ */
+function resolveTargetEndpoint(method, endpoint, data) {
+  const path = endpoint.split('?')[0];
+
+  for (const [pattern, build] of TARGET_ENDPOINTS) {
+    const match = path.match(pattern);
+    if (match) {
+      return build(match, data);
+    }
+  }
+
+  // PUT and DELETE address the entity itself; other POSTs create new entities
+  return ['PUT', 'DELETE'].includes(method.toUpperCase()) ? path : null;
+}
+
+/**
+ * Format a dry-run plan as a tool result
+ * @param {object} plan - { tool, instance, request, target_endpoint, current_state }
+ * @returns {object} MCP tool result
+ */
+function formatDryRunResult(plan) {
+  const result = {
+    dry_run: true,
+    message: 'No changes were made. This is the request the tool would send.',
+    ...plan
+  };
+
+  return {
+    content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+  };
+}
+
+export {
+  DryRunInterrupt,
+  resolveTargetEndpoint,
+  formatDryRunResult
+};
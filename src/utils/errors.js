@@ -0,0 +1,156 @@
+// Error types by HTTP status
+const STATUS_TYPES = {
+  400: 'validation',
+  401: 'auth',
+  403: 'permission',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'validation'
+};
+
+/**
+ * Error of a failed Magento API call, with Magento's message rendered and classified
+ */
+class MagentoApiError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.type - not_found, validation, auth, permission, conflict, server or network
+   * @param {string} details.message - Rendered message
+   * @param {number} [details.status] - HTTP status
+   * @param {Array} [details.fieldErrors] - [{ field, message }] for validation errors
+   * @param {string} [details.code] - Network error code (e.g. ECONNREFUSED)
+   * @param {string} [details.method] - HTTP method of the failed request
+   * @param {string} [details.endpoint] - Endpoint of the failed request
+   * @param {string} [details.instance] - Magento instance name
+   */
+  constructor({ type, message, status, fieldErrors = [], code, method, endpoint, instance }) {
+    super(message);
+    this.name = 'MagentoApiError';
+    this.type = type;
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.code = code;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.instance = instance;
+  }
+}
+
+/**
+ * Error thrown instead of calling Magento once the client has cancelled the tool call
+ */
+class RequestCancelledError extends Error {
+  constructor(message = 'Request cancelled by the client') {
+    super(message);
+    this.name = 'RequestCancelledError';
+    this.code = 'CANCELLED';
+  }
+}
+
+/**
+ * Render a Magento phrase, replacing `%1`-style placeholders with positional parameters
+ * and `%name`-style placeholders with named ones
+ * @param {string} message - Message with placeholders
+ * @param {Array|object} [parameters] - Placeholder values
+ * @returns {string} Rendered message
+ */
+function renderMagentoMessage(message, parameters) {
+  if (!message || !parameters) {
+    return message || '';
+  }
+
+  const values = Array.isArray(parameters)
+    ? Object.fromEntries(parameters.map((value, index) => [String(index + 1), value]))
+    : Object.fromEntries(Object.entries(parameters).map(([key, value]) =>
+      [/^\d+$/.test(key) ? String(Number(key) + 1) : key, value]));
+
+  return message.replace(/%(\w+)/g, (placeholder, key) =>
+    values[key] !== undefined ? String(values[key]) : placeholder);
+}
+
+/**
+ * Classify an error thrown while calling Magento
+ * @param {Error} error - Axios (or circuit breaker) error
+ * @returns {string} Error type
+ */
+function errorType(error) {
+  const status = error.response?.status;
+  if (!status) {
+    return error.code === 'CIRCUIT_OPEN' ? 'server' : 'network';
+  }
+  return STATUS_TYPES[status] || (status >= 500 ? 'server' : 'validation');
+}
+
+/**
+ * Translate an error thrown while calling Magento into a MagentoApiError
+ * @param {Error} error - Axios (or circuit breaker) error
+ * @param {object} request - { method, endpoint, instance }
+ * @returns {MagentoApiError} Translated error
+ */
+function toMagentoApiError(error, { method, endpoint, instance }) {
+  if (error instanceof MagentoApiError) {
+    return error;
+  }
+
+  const type = errorType(error);
+  const data = error.response?.data;
+  let message = renderMagentoMessage(data?.message, data?.parameters) || error.message;
+
+  const fieldErrors = (data?.errors || []).map(fieldError => ({
+    field: fieldError.parameters?.fieldName || null,
+    message: renderMagentoMessage(fieldError.message, fieldError.parameters)
+  }));
+
+  if (type === 'auth') {
+    message = `Authentication failed for Magento instance '${instance}' (HTTP 401): ` +
+      `${(data?.message ? message : 'credentials rejected').replace(/\.$/, '')}. ` +
+      'Check the configured token or credentials.';
+  } else if (type === 'network') {
+    message = `Could not reach Magento instance '${instance}' (${error.code || 'network error'}): ${error.message}`;
+  }
+
+  return new MagentoApiError({
+    type,
+    message,
+    status: error.response?.status,
+    fieldErrors,
+    code: error.code,
+    method,
+    endpoint,
+    instance
+  });
+}
+
+/**
+ * Build the isError result of a failed tool call
+ * @param {string} action - What the tool was doing (e.g. 'fetching product')
+ * @param {Error} error - Error thrown by the tool
+ * @returns {object} MCP tool result
+ */
+function formatToolError(action, error) {
+  let text = `Error ${action}: ${error.message}`;
+
+  if (error instanceof MagentoApiError) {
+    const status = error.status ? `, HTTP ${error.status}` : '';
+    text = `Error ${action} (${error.type}${status}): ${error.message}`;
+
+    if (error.fieldErrors.length > 0) {
+      const lines = error.fieldErrors.map(fieldError =>
+        `- ${fieldError.field ? `${fieldError.field}: ` : ''}${fieldError.message}`);
+      text += `\nField errors:\n${lines.join('\n')}`;
+    }
+  }
+
+  return {
+    content: [{ type: "text", text }],
+    isError: true
+  };
+}
+
+export {
+  MagentoApiError,
+  RequestCancelledError,
+  renderMagentoMessage,
+  toMagentoApiError,
+  formatToolError
+};
@@ -52,7 +52,47 @@ function formatSearchResults(results) {
   };
 }
 
+/**
+ * Build a tool result with structured content and a concise text summary of it. The data is also serialized as
+ * compact JSON text, which the MCP spec asks of tools returning structured content for clients that do not read it
+ * @param {string} summary - Human-readable summary
+ * @param {object} data - Structured content matching the tool's output schema
+ * @returns {object} MCP tool result
+ */
+function structuredResult(summary, data) {
+  return {
+    content: [
+      { type: "text", text: summary },
+      { type: "text", text: JSON.stringify(data) }
+    ],
+    structuredContent: data
+  };
+}
+
+/**
+ * Summarize a page of search results: a count line, one line per item and the pagination summary
+ * @param {string} noun - Plural name of the items (e.g. 'orders')
+ * @param {object} results - Search results with items and (optionally) pagination
+ * @param {Function} formatItem - Returns the summary line of an item
+ * @returns {string} Summary text
+ */
+function formatListSummary(noun, results, formatItem) {
+  const items = results.items || [];
+  const total = results.pagination?.total_count ?? results.total_count ?? items.length;
+  const lines = [`${total} ${noun} found.`, ...items.map(item => `- ${formatItem(item)}`)];
+
+  if (results.pagination) {
+    lines.push(results.pagination.summary);
+    if (results.pagination.next_cursor) {
+      lines.push(`next_cursor: ${results.pagination.next_cursor}`);
+    }
+  }
+  return lines.join('\n');
+}
+
 export {
   formatProduct,
-  formatSearchResults
+  formatSearchResults,
+  structuredResult,
+  formatListSummary
 };
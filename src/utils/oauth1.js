@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+
+/**
+ * Percent-encode a value as required by OAuth 1.0a (RFC 3986 unreserved characters only)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function percentEncode(value) {
+  return encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Build the OAuth 1.0a Authorization header for a request, signed with HMAC-SHA256
+ * (the signature method supported by Magento integrations).
+ * Query string parameters are part of the signature; JSON bodies are not.
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL including query string
+ * @param {object} credentials - { consumerKey, consumerSecret, accessToken, accessTokenSecret }
+ * @returns {string} Authorization header value
+ */
+function buildOAuthHeader(method, url, credentials) {
+  const { consumerKey, consumerSecret, accessToken, accessTokenSecret } = credentials;
+  const parsedUrl = new URL(url);
+
+  const oauthParams = {
+    oauth_consumer_key: consumerKey,
+    oauth_nonce: crypto.randomBytes(16).toString('hex'),
+    oauth_signature_method: 'HMAC-SHA256',
+    oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+    oauth_token: accessToken,
+    oauth_version: '1.0'
+  };
+
+  // Normalize request parameters: encode each key and value, then sort
+  const signatureParams = [
+    ...Object.entries(oauthParams),
+    ...parsedUrl.searchParams.entries()
+  ]
+    .map(([key, value]) => [percentEncode(key), percentEncode(value)])
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA === keyB ? (valueA < valueB ? -1 : valueA > valueB ? 1 : 0) : (keyA < keyB ? -1 : 1))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const baseString = [
+    method.toUpperCase(),
+    percentEncode(`${parsedUrl.origin}${parsedUrl.pathname}`),
+    percentEncode(signatureParams)
+  ].join('&');
+
+  const signingKey = `${percentEncode(consumerSecret)}&${percentEncode(accessTokenSecret)}`;
+  const signature = crypto.createHmac('sha256', signingKey).update(baseString).digest('base64');
+
+  const headerParams = { ...oauthParams, oauth_signature: signature };
+  return 'OAuth ' + Object.entries(headerParams)
+    .map(([key, value]) => `${percentEncode(key)}="${percentEncode(value)}"`)
+    .join(', ');
+}
+
+export {
+  buildOAuthHeader
+};
@@ -0,0 +1,250 @@
+import { z } from 'zod';
+import { AMOUNT_BASES } from './currency.js';
+
+// Output schemas of tools returning structuredContent. Magento entities are described loosely (every field optional
+// and nullable, extra fields allowed) because responses vary between versions, the `fields` projection can drop any
+// field and Magento returns null for unset ones (e.g. the customer name of guest orders).
+
+/**
+ * Loose object schema: every field optional and nullable, and unknown fields allowed
+ * @param {object} shape - Zod shape
+ * @returns {object} Zod object schema
+ */
+function entity(shape) {
+  const nullableShape = Object.fromEntries(Object.entries(shape).map(([key, schema]) => [key, schema.nullable()]));
+  return z.object(nullableShape).partial().passthrough();
+}
+
+const paginationSchema = z.object({
+  page: z.number(),
+  page_size: z.number(),
+  total_count: z.number().nullable(),
+  total_pages: z.number().nullable(),
+  has_more: z.boolean(),
+  next_cursor: z.string().nullable().describe("Pass as `cursor` to get the next page"),
+  summary: z.string()
+}).passthrough();
+
+/**
+ * Output schema of a list tool
+ * @param {object} itemSchema - Zod schema of one item
+ * @returns {object} Zod shape with items, total_count and pagination
+ */
+function listOutput(itemSchema) {
+  return {
+    items: z.array(itemSchema),
+    total_count: z.number().optional(),
+    pagination: paginationSchema.optional()
+  };
+}
+
+const orderItemSchema = entity({
+  item_id: z.number(),
+  sku: z.string(),
+  name: z.string(),
+  qty_ordered: z.number(),
+  qty_shipped: z.number(),
+  qty_invoiced: z.number(),
+  qty_refunded: z.number(),
+  price: z.number(),
+  row_total: z.number(),
+  tax_amount: z.number(),
+  discount_amount: z.number(),
+  product_type: z.string()
+});
+
+const orderStatusHistorySchema = entity({
+  entity_id: z.number(),
+  comment: z.string().nullable(),
+  status: z.string().nullable(),
+  created_at: z.string(),
+  is_customer_notified: z.number().nullable(),
+  is_visible_on_front: z.number()
+});
+
+const orderSchema = entity({
+  entity_id: z.number(),
+  increment_id: z.string(),
+  status: z.string(),
+  state: z.string(),
+  customer_email: z.string(),
+  customer_firstname: z.string(),
+  customer_lastname: z.string(),
+  grand_total: z.number(),
+  subtotal: z.number(),
+  tax_amount: z.number(),
+  shipping_amount: z.number(),
+  total_qty_ordered: z.number(),
+  order_currency_code: z.string(),
+  created_at: z.string(),
+  updated_at: z.string(),
+  items: z.array(orderItemSchema),
+  status_histories: z.array(orderStatusHistorySchema)
+});
+
+const productSchema = entity({
+  id: z.number(),
+  sku: z.string(),
+  name: z.string(),
+  price: z.number(),
+  status: z.number(),
+  visibility: z.number(),
+  type_id: z.string(),
+  created_at: z.string(),
+  updated_at: z.string(),
+  extension_attributes: z.record(z.any()),
+  custom_attributes: z.record(z.any()).describe("Custom attribute values by attribute code")
+});
+
+const stockItemSchema = entity({
+  item_id: z.number(),
+  product_id: z.number(),
+  stock_id: z.number(),
+  qty: z.number(),
+  is_in_stock: z.boolean(),
+  min_qty: z.number(),
+  backorders: z.number(),
+  manage_stock: z.boolean(),
+  low_stock_date: z.string().nullable()
+});
+
+const inventorySourceSchema = entity({
+  source_code: z.string(),
+  name: z.string(),
+  enabled: z.boolean(),
+  country_id: z.string()
+});
+
+const inventoryStockSchema = entity({
+  stock_id: z.number(),
+  name: z.string()
+});
+
+const sourceItemSchema = entity({
+  sku: z.string(),
+  source_code: z.string(),
+  quantity: z.number(),
+  status: z.number()
+});
+
+const periodSchema = z.object({
+  start_date: z.string().describe("First day, in the store's time zone"),
+  end_date: z.string().describe("Last day, in the store's time zone"),
+  timezone: z.string(),
+  store_time: z.object({ from: z.string(), to: z.string() }),
+  utc: z.object({ from: z.string(), to: z.string() }).describe("Bounds the orders were filtered with")
+}).partial({ timezone: true, store_time: true, utc: true });
+
+const currencyTotalsSchema = z.array(z.object({
+  currency: z.string().nullable(),
+  revenue: z.number(),
+  tax_amount: z.number(),
+  order_count: z.number(),
+  revenue_in_base_currency: z.number().optional()
+}).passthrough()).describe("Totals per currency, before conversion to the base currency");
+
+const unconvertedCurrenciesSchema = z.array(z.string()).optional()
+  .describe("Currencies without an exchange rate, left out of the converted totals");
+
+const revenueSchema = z.object({
+  revenue: z.number(),
+  currency: z.string().nullable().describe("Store base currency (null when the store reports none)"),
+  order_count: z.number(),
+  average_order_value: z.number(),
+  tax_amount: z.number(),
+  by_currency: currencyTotalsSchema,
+  unconverted_currencies: unconvertedCurrenciesSchema
+}).passthrough();
+
+const amountBasisSchema = z.enum(AMOUNT_BASES);
+
+// Output shapes of the tools declaring one
+const OUTPUT_SCHEMAS = {
+  order: { order: orderSchema.nullable() },
+  orderList: listOutput(orderSchema),
+  orderItems: { order_id: z.number(), items: z.array(orderItemSchema) },
+  orderComments: { order_id: z.number(), comments: z.array(orderStatusHistorySchema) },
+  orderStatuses: { statuses: z.array(entity({ value: z.string(), label: z.string() })) },
+  product: { product: productSchema.nullable() },
+  productList: listOutput(productSchema),
+  stockItem: { sku: z.string(), stock_item: stockItemSchema },
+  stockItemList: listOutput(stockItemSchema),
+  inventorySourceList: listOutput(inventorySourceSchema),
+  inventoryStockList: listOutput(inventoryStockSchema),
+  sourceItemList: listOutput(sourceItemSchema),
+  revenue: {
+    query: z.object({
+      date_range: z.string(),
+      status: z.string(),
+      include_tax: z.boolean(),
+      amount_basis: amountBasisSchema,
+      period: periodSchema
+    }).passthrough(),
+    result: revenueSchema
+  },
+  orderCount: {
+    query: z.object({ date_range: z.string(), status: z.string(), period: periodSchema }).passthrough(),
+    result: z.object({ order_count: z.number() }).passthrough()
+  },
+  productSales: {
+    query: z.object({
+      date_range: z.string(),
+      status: z.string(),
+      country: z.string(),
+      amount_basis: amountBasisSchema,
+      period: periodSchema
+    }).passthrough(),
+    result: z.object({
+      total_orders: z.number(),
+      total_order_items: z.number(),
+      total_product_quantity: z.number(),
+      average_products_per_order: z.number(),
+      total_revenue: z.number(),
+      currency: z.string().nullable().describe("Store base currency (null when the store reports none)"),
+      average_revenue_per_product: z.number(),
+      top_products: z.array(z.object({
+        sku: z.string(),
+        name: z.string().nullable().optional(),
+        quantity: z.number(),
+        revenue: z.number()
+      }).passthrough()),
+      by_currency: currencyTotalsSchema,
+      unconverted_currencies: unconvertedCurrenciesSchema
+    }).passthrough()
+  },
+  revenueByCountry: {
+    query: z.object({
+      date_range: z.string(),
+      country: z.string(),
+      normalized_country: z.string(),
+      status: z.string(),
+      include_tax: z.boolean(),
+      amount_basis: amountBasisSchema,
+      period: periodSchema
+    }).passthrough(),
+    result: revenueSchema
+  },
+  customerOrderedProducts: {
+    customer: entity({ id: z.number(), email: z.string(), firstname: z.string(), lastname: z.string() }).nullable(),
+    orders: z.array(entity({
+      order_id: z.number(),
+      increment_id: z.string(),
+      created_at: z.string(),
+      status: z.string(),
+      total: z.number(),
+      currency: z.string(),
+      items: z.array(entity({
+        sku: z.string(),
+        name: z.string(),
+        price: z.number(),
+        qty_ordered: z.number(),
+        product_details: z.record(z.any())
+      }))
+    }))
+  }
+};
+
+export {
+  paginationSchema,
+  OUTPUT_SCHEMAS
+};
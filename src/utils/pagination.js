@@ -0,0 +1,79 @@
+import { getContext } from './request-context.js';
+
+/**
+ * Encode a cursor pointing at a page of a list tool's results
+ * @param {object} position - { tool, instance, args, page }
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor({ tool, instance, args, page }) {
+  return Buffer.from(JSON.stringify({ t: tool, i: instance, a: args, p: page })).toString('base64url');
+}
+
+/**
+ * Decode a cursor returned by a list tool
+ * @param {string} cursor - Cursor from a `next_cursor` field
+ * @param {string} toolName - Tool the cursor is passed to
+ * @returns {object} { instance, args, page }
+ * @throws {Error} If the cursor is malformed or was issued by another tool
+ */
+function decodeCursor(cursor, toolName) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error(`Invalid cursor "${cursor}"`);
+  }
+
+  if (!position || !position.a || typeof position.a !== 'object' || !Number.isInteger(position.p) || position.p < 1) {
+    throw new Error(`Invalid cursor "${cursor}"`);
+  }
+  if (position.t !== toolName) {
+    throw new Error(`Cursor was returned by ${position.t}; pass it to that tool instead of ${toolName}`);
+  }
+
+  return { instance: position.i, args: position.a, page: position.p };
+}
+
+/**
+ * Add a page summary and the cursor of the next page to a page of search results
+ * @param {object} results - Search results ({ items, total_count, ... })
+ * @param {number} pageSize - Page size the page was requested with
+ * @param {number} currentPage - Page number of the results
+ * @returns {object} Results with a `pagination` object ({ page, page_size, total_count, total_pages, has_more, next_cursor, summary })
+ */
+function withPagination(results, pageSize, currentPage) {
+  if (!results || typeof results !== 'object' || !Array.isArray(results.items)) {
+    return results;
+  }
+
+  const { toolName, instance, toolArgs = {} } = getContext();
+  const returned = results.items.length;
+  const totalCount = typeof results.total_count === 'number' ? results.total_count : undefined;
+  const first = (currentPage - 1) * pageSize;
+  const hasMore = totalCount !== undefined ? first + returned < totalCount : returned === pageSize;
+
+  const { current_page, ...args } = toolArgs;
+  const pagination = {
+    page: currentPage,
+    page_size: pageSize,
+    total_count: totalCount ?? null,
+    total_pages: totalCount !== undefined ? Math.ceil(totalCount / pageSize) : null,
+    has_more: hasMore,
+    next_cursor: hasMore
+      ? encodeCursor({ tool: toolName, instance, args: { ...args, page_size: pageSize }, page: currentPage + 1 })
+      : null,
+    summary: returned > 0
+      ? `Items ${first + 1}-${first + returned}${totalCount !== undefined ? ` of ${totalCount}` : ''} (page ${currentPage}` +
+        `${totalCount !== undefined ? ` of ${Math.ceil(totalCount / pageSize)}` : ''})` +
+        (hasMore ? '; pass next_cursor as cursor for the next page' : '; this is the last page')
+      : `No items on page ${currentPage}`
+  };
+
+  return { ...results, pagination };
+}
+
+export {
+  encodeCursor,
+  decodeCursor,
+  withPagination
+};
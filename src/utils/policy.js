@@ -0,0 +1,84 @@
+import {
+  MAGENTO_READ_ONLY,
+  MAGENTO_TOOLS_ALLOW,
+  MAGENTO_TOOLS_DENY,
+  MAGENTO_MODULES_ALLOW,
+  MAGENTO_MODULES_DENY
+} from '../config.js';
+
+// Tool name prefixes of tools that change data in Magento
+const MUTATING_PREFIXES = [
+  'create_', 'update_', 'delete_', 'add_', 'assign_', 'remove_', 'move_', 'cancel_', 'hold_', 'unhold_', 'undo_'
+];
+
+/**
+ * Whether a tool changes data in Magento
+ * @param {string} toolName - Tool name
+ * @returns {boolean} True for mutating tools
+ */
+function isMutatingTool(toolName) {
+  return MUTATING_PREFIXES.some(prefix => toolName.startsWith(prefix));
+}
+
+/**
+ * Whether a name matches a glob pattern (`*` matches any characters, `?` a single one)
+ * @param {string} name - Tool or module name
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} True if the name matches
+ */
+function matchesGlob(name, pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * Whether a name passes an allow list (empty = everything allowed) and a deny list
+ * @param {string} name - Tool or module name
+ * @param {string[]} allow - Allowed glob patterns
+ * @param {string[]} deny - Denied glob patterns (take precedence)
+ * @returns {boolean} True if the name is permitted
+ */
+function isPermitted(name, allow, deny) {
+  if (deny.some(pattern => matchesGlob(name, pattern))) {
+    return false;
+  }
+  return allow.length === 0 || allow.some(pattern => matchesGlob(name, pattern));
+}
+
+/**
+ * Whether a module is enabled by the module allow/deny lists (used for resources and prompts,
+ * which are not covered by the tool lists)
+ * @param {string} moduleName - Module name (e.g. 'orders')
+ * @returns {boolean} True if the module is enabled
+ */
+function isModuleEnabled(moduleName) {
+  return isPermitted(moduleName, MAGENTO_MODULES_ALLOW, MAGENTO_MODULES_DENY);
+}
+
+/**
+ * Whether a tool should be registered under the configured policy
+ * @param {string} toolName - Tool name (e.g. 'delete_product')
+ * @param {string} moduleName - Tool module name (file name without extension, e.g. 'creditmemos')
+ * @returns {boolean} True if the tool is enabled
+ */
+function isToolEnabled(toolName, moduleName) {
+  if (MAGENTO_READ_ONLY && isMutatingTool(toolName)) {
+    return false;
+  }
+  return isModuleEnabled(moduleName) &&
+    isPermitted(toolName, MAGENTO_TOOLS_ALLOW, MAGENTO_TOOLS_DENY);
+}
+
+export {
+  isMutatingTool,
+  matchesGlob,
+  isModuleEnabled,
+  isToolEnabled
+};
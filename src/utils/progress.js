@@ -0,0 +1,36 @@
+import { getContext } from './request-context.js';
+
+/**
+ * Create the progress reporter of a tool call, sending MCP progress notifications
+ * when the client asked for them with a progress token
+ * @param {object} extra - Request handler extra passed by the MCP server
+ * @returns {Function|undefined} (progress, total, message) => void, or undefined without a progress token
+ */
+function createProgressReporter(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) {
+    return undefined;
+  }
+
+  return (progress, total, message) => {
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, ...(total !== undefined ? { total } : {}), message }
+    }).catch(error => console.error(`Failed to send progress notification: ${error.message}`));
+  };
+}
+
+/**
+ * Report the progress of the current tool call (ignored when the client did not ask for progress)
+ * @param {number} progress - Work done so far (increasing)
+ * @param {number} [total] - Total work, when known
+ * @param {string} [message] - Human-readable progress message
+ */
+function reportProgress(progress, total, message) {
+  getContext().reportProgress?.(progress, total, message);
+}
+
+export {
+  createProgressReporter,
+  reportProgress
+};
@@ -0,0 +1,79 @@
+import { isModuleEnabled, isToolEnabled } from './policy.js';
+
+/**
+ * Build the result of a prompt made of a single user message
+ * @param {string} text - Message text
+ * @returns {object} MCP prompt result
+ */
+function userMessage(text) {
+  return {
+    messages: [{ role: 'user', content: { type: 'text', text } }]
+  };
+}
+
+/**
+ * Number the steps of a prompt workflow, leaving out the ones that were skipped
+ * @param {Array<string|false|null|undefined>} steps - Step texts; falsy entries are dropped
+ * @returns {string} Steps as a numbered list, one per line
+ */
+function numberedSteps(steps) {
+  return steps
+    .filter(Boolean)
+    .map((step, index) => `${index + 1}. ${step}`)
+    .join('\n');
+}
+
+/**
+ * Names of the tools in a { toolName: moduleName } map that the policy disables
+ * @param {object} tools - Tool names mapped to their tool module
+ * @returns {string[]} Disabled tool names
+ */
+function disabledToolsOf(tools = {}) {
+  return Object.entries(tools)
+    .filter(([toolName, moduleName]) => !isToolEnabled(toolName, moduleName))
+    .map(([toolName]) => toolName);
+}
+
+/**
+ * Wrap an MCP server so that prompts are only registered when the tools their workflow relies on are enabled
+ * by the policy (MAGENTO_MODULES_ALLOW/DENY, MAGENTO_TOOLS_ALLOW/DENY, MAGENTO_READ_ONLY)
+ * @param {object} server - MCP server instance
+ * @param {string} moduleName - Module whose tools the prompts mainly use (e.g. 'orders')
+ * @returns {object} Object exposing a `prompt()` registration method, plus the names of `disabledPrompts`
+ */
+function createPromptRegistry(server, moduleName) {
+  const disabledPrompts = [];
+
+  return {
+    disabledPrompts,
+
+    /**
+     * Register a prompt. The prompt is skipped when its module or any of `requiredTools` is disabled; the callback
+     * receives an `isAvailable(toolName)` check so it can leave out the steps using disabled `optionalTools`.
+     * @param {string} name - Prompt name
+     * @param {object} config - { title, description, argsSchema, requiredTools, optionalTools }, the tool maps
+     *   going from tool name to tool module (e.g. { search_invoices: 'invoices' })
+     * @param {Function} callback - (args, isAvailable) => prompt result
+     * @returns {object|undefined} Registered prompt, or undefined when disabled by the policy
+     */
+    prompt(name, config, callback) {
+      const { requiredTools, optionalTools, ...promptConfig } = config;
+
+      if (!isModuleEnabled(moduleName) || disabledToolsOf(requiredTools).length > 0) {
+        disabledPrompts.push(name);
+        return undefined;
+      }
+
+      const unavailable = new Set(disabledToolsOf(optionalTools));
+      const isAvailable = toolName => !unavailable.has(toolName);
+
+      return server.registerPrompt(name, promptConfig, args => callback(args, isAvailable));
+    }
+  };
+}
+
+export {
+  userMessage,
+  numberedSteps,
+  createPromptRegistry
+};
@@ -0,0 +1,27 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a per-tool-call context (selected instance, tool name, ...)
+ * that is visible to every Magento API call made while it runs
+ * @param {object} context - Context values
+ * @param {Function} fn - Function to run
+ * @returns {any} The function's return value
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the tool call currently being handled
+ * @returns {object} Current context, or an empty object outside of a tool call
+ */
+function getContext() {
+  return storage.getStore() || {};
+}
+
+export {
+  runWithContext,
+  getContext
+};
@@ -0,0 +1,220 @@
+// Methods that can be repeated without changing the outcome (RFC 9110)
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// HTTP statuses worth retrying: timeouts, throttling and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Network error codes worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+/**
+ * Error thrown without contacting Magento while an instance's circuit breaker is open
+ */
+class CircuitOpenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+  }
+}
+
+/**
+ * Whether an error means the Magento server is unreachable or failing (as opposed to rejecting the request)
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} True for network errors and 5xx responses
+ */
+function isServerFailure(error) {
+  if (!error.response) {
+    return RETRYABLE_ERROR_CODES.includes(error.code) || error.code === 'ERR_NETWORK';
+  }
+  return error.response.status >= 500;
+}
+
+/**
+ * Whether a failed request may be sent again
+ * @param {Error} error - Error thrown by axios
+ * @param {string} method - HTTP method of the request
+ * @returns {boolean} True if retrying is safe and may succeed
+ */
+function isRetryable(error, method) {
+  const status = error.response?.status;
+
+  // Throttled requests were not processed, so any method can be retried
+  if (status === 429) {
+    return true;
+  }
+  if (!IDEMPOTENT_METHODS.includes(method.toUpperCase())) {
+    return false;
+  }
+  if (status) {
+    return RETRYABLE_STATUSES.includes(status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code) || error.code === 'ERR_NETWORK';
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute how long to wait before the next attempt: the server's Retry-After when given,
+ * otherwise exponential backoff with full jitter
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt (0-based)
+ * @param {object} retry - { baseDelayMs, maxDelayMs }
+ * @returns {number|null} Delay in milliseconds, or null if Retry-After asks to wait longer than maxDelayMs
+ */
+function getRetryDelay(error, attempt, retry) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return retryAfter <= retry.maxDelayMs ? retryAfter : null;
+  }
+
+  const cap = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * cap);
+}
+
+/**
+ * Wait for a delay, ending early if the signal is aborted
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>} Resolves after the delay or on abort
+ */
+function sleep(delay, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, delay);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Run a request, retrying transient failures with backoff
+ * @param {Function} request - Function performing one attempt and returning a promise
+ * @param {string} method - HTTP method of the request
+ * @param {object} retry - { maxRetries, baseDelayMs, maxDelayMs }
+ * @param {Function} [onRetry] - Called with (error, attempt, delayMs) before each retry
+ * @param {AbortSignal} [signal] - Stops retrying when aborted
+ * @returns {Promise<any>} Result of the first successful attempt
+ */
+async function withRetry(request, method, retry, onRetry, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= retry.maxRetries || !isRetryable(error, method) || signal?.aborted) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, retry);
+      if (delay === null) {
+        throw error;
+      }
+
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Circuit breaker for one Magento instance.
+ * Opens after `failureThreshold` consecutive server failures, fails fast for `resetMs`,
+ * then lets a single trial request through to decide whether to close again.
+ */
+class CircuitBreaker {
+  constructor(name, { failureThreshold, resetMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetMs;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Throw a CircuitOpenError if requests to the instance should not be attempted right now
+   */
+  assertCanRequest() {
+    if (this.failureThreshold <= 0 || this.openedAt === null) {
+      return;
+    }
+
+    const remainingMs = this.openedAt + this.resetMs - Date.now();
+    if (remainingMs <= 0 && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    const retryIn = Math.max(1, Math.ceil(remainingMs / 1000));
+    throw new CircuitOpenError(
+      `Magento instance '${this.name}' appears to be down: ${this.consecutiveFailures} consecutive requests failed ` +
+      `(last error: ${this.lastError}). Failing fast; the connection will be retried in about ${retryIn}s.`
+    );
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+    this.trialInFlight = false;
+
+    if (this.failureThreshold > 0 && this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+  }
+
+  // A cancelled request says nothing about the instance; let the next request be the trial instead
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+}
+
+// Instance name -> CircuitBreaker
+const circuitBreakers = new Map();
+
+/**
+ * Get the circuit breaker of an instance
+ * @param {object} instance - Instance configuration
+ * @returns {CircuitBreaker} The instance's circuit breaker
+ */
+function getCircuitBreaker(instance) {
+  if (!circuitBreakers.has(instance.name)) {
+    circuitBreakers.set(instance.name, new CircuitBreaker(instance.name, instance.circuitBreaker));
+  }
+  return circuitBreakers.get(instance.name);
+}
+
+export {
+  CircuitOpenError,
+  isServerFailure,
+  withRetry,
+  getCircuitBreaker
+};
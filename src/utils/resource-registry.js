@@ -0,0 +1,95 @@
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { MAGENTO_DEFAULT_INSTANCE } from '../config.js';
+import { runWithContext } from './request-context.js';
+import { isModuleEnabled } from './policy.js';
+
+// How long the listing of a resource template is reused, so that resources/list does not fetch every entity each time
+const LIST_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Build the read result of a resource holding JSON data
+ * @param {URL} uri - URI of the resource
+ * @param {any} data - Data to serialize
+ * @returns {object} MCP resource read result
+ */
+function jsonContents(uri, data) {
+  return {
+    contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }]
+  };
+}
+
+/**
+ * Reuse the listing of a resource template for LIST_CACHE_MS, and keep a failed listing from failing resources/list
+ * as a whole: the error is logged and the last listing (or none) is returned instead
+ * @param {string} name - Resource name
+ * @param {Function} list - (extra) => { resources }
+ * @returns {Function} Cached list callback
+ */
+function cachedList(name, list) {
+  let cached = null;
+
+  return async (extra) => {
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
+
+    try {
+      const result = await list(extra);
+      cached = { result, expiresAt: Date.now() + LIST_CACHE_MS };
+      return result;
+    } catch (error) {
+      console.error(`Failed to list ${name} resources: ${error.message}`);
+      return cached?.result ?? { resources: [] };
+    }
+  };
+}
+
+/**
+ * Wrap an MCP server so that resources registered through it read from the default Magento instance
+ * (MAGENTO_DEFAULT_INSTANCE; resources do not cover the other configured instances) inside a request context,
+ * like tool calls do. Listings of resource templates are cached (see cachedList). Resources of modules disabled by
+ * MAGENTO_MODULES_ALLOW/DENY are not registered.
+ * @param {object} server - MCP server instance
+ * @param {string} moduleName - Module name used by the policy (e.g. 'orders')
+ * @returns {object} Object exposing a `resource()` registration method, plus the names of `disabledResources`
+ */
+function createResourceRegistry(server, moduleName) {
+  const disabledResources = [];
+
+  return {
+    disabledResources,
+
+    /**
+     * Register a resource
+     * @param {string} name - Resource name
+     * @param {string} uriTemplate - Fixed URI or URI template (e.g. 'magento://product/{sku}')
+     * @param {object} metadata - { title, description, mimeType }
+     * @param {Function} read - (uri, variables, extra) => read result
+     * @param {Function} [list] - (extra) => { resources } listing the resources of a template
+     * @returns {object|undefined} Registered resource, or undefined when disabled by the policy
+     */
+    resource(name, uriTemplate, metadata, read, list) {
+      if (!isModuleEnabled(moduleName)) {
+        disabledResources.push(name);
+        return undefined;
+      }
+
+      const run = (extra, fn) => runWithContext({ instance: MAGENTO_DEFAULT_INSTANCE, resourceName: name, signal: extra?.signal }, fn);
+
+      if (!uriTemplate.includes('{')) {
+        return server.registerResource(name, uriTemplate, metadata, (uri, extra) => run(extra, () => read(uri, {}, extra)));
+      }
+
+      const listResources = list ? cachedList(name, list) : undefined;
+      const template = new ResourceTemplate(uriTemplate, {
+        list: listResources ? extra => run(extra, () => listResources(extra)) : undefined
+      });
+      return server.registerResource(name, template, metadata, (uri, variables, extra) => run(extra, () => read(uri, variables, extra)));
+    }
+  };
+}
+
+export {
+  jsonContents,
+  createResourceRegistry
+};
@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+import { MAGENTO_CACHE_ENABLED, MAGENTO_CACHE_TTLS, MAGENTO_CACHE_FILE } from '../config.js';
+
+/**
+ * Default TTLs (seconds) for read-only reference endpoints that rarely change.
+ * Keys are endpoint paths, matched as prefixes of the request path (query string excluded).
+ */
+const DEFAULT_CACHE_TTLS = {
+  '/store/storeConfigs': 3600,
+  '/store/storeViews': 3600,
+  '/store/storeGroups': 3600,
+  '/store/websites': 3600,
+  '/directory/countries': 86400,
+  '/directory/currency': 3600,
+  '/orders/statuses': 3600,
+  '/products/attribute-sets/sets/list': 3600,
+  '/taxClasses/search': 3600,
+  '/customerGroups/search': 3600
+};
+
+// Cache key -> { instance, store, endpoint, data, expiresAt }
+const entries = new Map();
+let loaded = false;
+let pendingWrite = Promise.resolve();
+
+/**
+ * Split an endpoint into its path (without query string)
+ * @param {string} endpoint - API endpoint
+ * @returns {string} Path
+ */
+function endpointPath(endpoint) {
+  return endpoint.split('?')[0];
+}
+
+/**
+ * Resource an endpoint belongs to, used for invalidation (first path segment, e.g. '/products/SKU' -> 'products')
+ * @param {string} endpoint - API endpoint
+ * @returns {string} Resource name
+ */
+function resourceOf(endpoint) {
+  return endpointPath(endpoint).split('/')[1] || '';
+}
+
+/**
+ * Get the cache TTL of an endpoint
+ * @param {object} instance - Instance configuration (may override TTLs with `cacheTtls`)
+ * @param {string} endpoint - API endpoint
+ * @returns {number} TTL in seconds (0 = not cached)
+ */
+function getCacheTtl(instance, endpoint) {
+  if (!MAGENTO_CACHE_ENABLED) {
+    return 0;
+  }
+
+  const ttls = { ...DEFAULT_CACHE_TTLS, ...MAGENTO_CACHE_TTLS, ...instance.cacheTtls };
+  const requestPath = endpointPath(endpoint);
+
+  // Longest matching prefix wins
+  const match = Object.keys(ttls)
+    .filter(prefix => requestPath === prefix || requestPath.startsWith(`${prefix}/`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? ttls[match] : 0;
+}
+
+/**
+ * Load persisted entries from MAGENTO_CACHE_FILE on first use
+ */
+function ensureLoaded() {
+  if (loaded) {
+    return;
+  }
+  loaded = true;
+
+  if (!MAGENTO_CACHE_FILE || !fs.existsSync(MAGENTO_CACHE_FILE)) {
+    return;
+  }
+
+  try {
+    const persisted = JSON.parse(fs.readFileSync(MAGENTO_CACHE_FILE, 'utf8'));
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(persisted)) {
+      if (entry.expiresAt > now) {
+        entries.set(key, entry);
+      }
+    }
+  } catch (error) {
+    console.error(`Ignoring unreadable cache file ${MAGENTO_CACHE_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the current entries to MAGENTO_CACHE_FILE (writes are serialized)
+ */
+function persist() {
+  if (!MAGENTO_CACHE_FILE) {
+    return;
+  }
+
+  const snapshot = JSON.stringify(Object.fromEntries(entries));
+  pendingWrite = pendingWrite
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(MAGENTO_CACHE_FILE), { recursive: true });
+      await fs.promises.writeFile(MAGENTO_CACHE_FILE, snapshot);
+    })
+    .catch(error => console.error(`Failed to write cache file ${MAGENTO_CACHE_FILE}: ${error.message}`));
+}
+
+/**
+ * Build the cache key of a request
+ * @param {string} instanceName - Instance name
+ * @param {string} endpoint - API endpoint including query string
+ * @param {string} [storeCode] - Store view the request was scoped to
+ * @returns {string} Cache key
+ */
+function cacheKey(instanceName, endpoint, storeCode) {
+  return storeCode ? `${instanceName} ${storeCode} ${endpoint}` : `${instanceName} ${endpoint}`;
+}
+
+/**
+ * Get a cached response
+ * @param {string} instanceName - Instance name
+ * @param {string} endpoint - API endpoint including query string
+ * @param {string} [storeCode] - Store view the request is scoped to
+ * @returns {any} A copy of the cached data, or undefined on a miss
+ */
+function getCachedResponse(instanceName, endpoint, storeCode) {
+  ensureLoaded();
+
+  const key = cacheKey(instanceName, endpoint, storeCode);
+  const entry = entries.get(key);
+
+  if (!entry) {
+    return undefined;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return undefined;
+  }
+
+  return structuredClone(entry.data);
+}
+
+/**
+ * Store a response in the cache
+ * @param {string} instanceName - Instance name
+ * @param {string} endpoint - API endpoint including query string
+ * @param {any} data - Response data
+ * @param {number} ttl - Time to live in seconds
+ * @param {string} [storeCode] - Store view the request was scoped to
+ */
+function setCachedResponse(instanceName, endpoint, data, ttl, storeCode) {
+  ensureLoaded();
+
+  entries.set(cacheKey(instanceName, endpoint, storeCode), {
+    instance: instanceName,
+    store: storeCode || undefined,
+    endpoint,
+    data: structuredClone(data),
+    expiresAt: Date.now() + ttl * 1000
+  });
+  persist();
+}
+
+/**
+ * Drop cached responses of the resource a mutating call touched
+ * in every store view scope (e.g. a PUT to /taxClasses/3 invalidates /taxClasses/search)
+ * @param {string} instanceName - Instance name
+ * @param {string} endpoint - Endpoint of the mutating call
+ * @returns {number} Number of entries removed
+ */
+function invalidateResource(instanceName, endpoint) {
+  const resource = resourceOf(endpoint);
+  return flushCache({ instance: instanceName, match: entry => resourceOf(entry.endpoint) === resource });
+}
+
+/**
+ * Remove cached responses
+ * @param {object} [filters]
+ * @param {string} [filters.instance] - Only entries of this instance
+ * @param {string} [filters.endpointPrefix] - Only entries whose endpoint starts with this prefix
+ * @param {Function} [filters.match] - Only entries for which this predicate returns true
+ * @returns {number} Number of entries removed
+ */
+function flushCache({ instance, endpointPrefix, match } = {}) {
+  ensureLoaded();
+
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (instance && entry.instance !== instance) continue;
+    if (endpointPrefix && !entry.endpoint.startsWith(endpointPrefix)) continue;
+    if (match && !match(entry)) continue;
+
+    entries.delete(key);
+    removed++;
+  }
+
+  if (removed > 0) {
+    persist();
+  }
+  return removed;
+}
+
+export {
+  getCacheTtl,
+  getCachedResponse,
+  setCachedResponse,
+  invalidateResource,
+  flushCache
+};
@@ -0,0 +1,147 @@
+import { MAGENTO_MAX_RESPONSE_CHARS } from '../config.js';
+
+// How long the full result of a truncated response is kept to serve its `response_offset` continuations
+const CONTINUATION_TTL_MS = 5 * 60 * 1000;
+
+// Most truncated results kept at once; the oldest is dropped first
+const MAX_CONTINUATIONS = 20;
+
+// Continuation key -> { result, expiresAt }
+const continuations = new Map();
+
+/**
+ * Add Magento's `fields` projection parameter to a GET endpoint
+ * @param {string} endpoint - API endpoint, with or without a query string
+ * @param {string} fields - Field projection (e.g. 'items[sku,name,price],total_count')
+ * @returns {string} Endpoint requesting only those fields
+ */
+function withFieldsParam(endpoint, fields) {
+  const separator = endpoint.includes('?') ? '&' : '?';
+  return `${endpoint}${separator}fields=${encodeURIComponent(fields)}`;
+}
+
+/**
+ * Key under which a truncated response is kept for the continuations of the same call
+ * @param {string} toolName - Tool name
+ * @param {string} instance - Magento instance name
+ * @param {object} args - Tool arguments, without `response_offset`
+ * @param {string} [fields] - Field projection of the call
+ * @returns {string} Continuation key
+ */
+function continuationKey(toolName, instance, args, fields) {
+  return JSON.stringify([toolName, instance, args, fields ?? null]);
+}
+
+/**
+ * Keep the full result of a call for CONTINUATION_TTL_MS when it is too long to be returned at once
+ * @param {string} key - Continuation key
+ * @param {object} result - Full MCP tool result
+ */
+function rememberForContinuation(key, result) {
+  const text = result?.content?.[0]?.text;
+  if (result?.isError || typeof text !== 'string' || MAGENTO_MAX_RESPONSE_CHARS <= 0 || text.length <= MAGENTO_MAX_RESPONSE_CHARS) {
+    return;
+  }
+
+  continuations.delete(key);
+  if (continuations.size >= MAX_CONTINUATIONS) {
+    continuations.delete(continuations.keys().next().value);
+  }
+  continuations.set(key, { result, expiresAt: Date.now() + CONTINUATION_TTL_MS });
+}
+
+/**
+ * Get the full result kept for the continuations of a call
+ * @param {string} key - Continuation key
+ * @returns {object|undefined} Full MCP tool result, or undefined when none is kept (or it expired)
+ */
+function recallForContinuation(key) {
+  const continuation = continuations.get(key);
+  if (continuation && continuation.expiresAt <= Date.now()) {
+    continuations.delete(key);
+    return undefined;
+  }
+  return continuation?.result;
+}
+
+/**
+ * Check a tool result with structured content against MAGENTO_MAX_RESPONSE_CHARS. Structured content cannot be cut
+ * and continued like text, so a result over the limit is replaced by an error telling the caller to request less data.
+ * @param {object} result - MCP tool result with structuredContent
+ * @param {string} toolName - Name of the tool that produced the result
+ * @returns {object} The result itself, or an error result
+ */
+function limitStructuredResponseSize(result, toolName) {
+  const length = result.content
+    .reduce((total, content) => total + (typeof content.text === 'string' ? content.text.length : 0), 0);
+  if (MAGENTO_MAX_RESPONSE_CHARS <= 0 || length <= MAGENTO_MAX_RESPONSE_CHARS) {
+    return result;
+  }
+
+  return {
+    content: [{
+      type: "text",
+      text: `Error: the response of ${toolName} is ${length} characters, over the limit of ${MAGENTO_MAX_RESPONSE_CHARS} ` +
+        `(MAGENTO_MAX_RESPONSE_CHARS). Call it again with fields to request less data, or with a smaller page_size ` +
+        `and the returned cursor for list tools.`
+    }],
+    isError: true
+  };
+}
+
+/**
+ * Cut the text of a tool result to MAGENTO_MAX_RESPONSE_CHARS, starting at an offset,
+ * and tell the caller how to get the rest. Results with structured content are returned whole or not at all.
+ * @param {object} result - MCP tool result
+ * @param {string} toolName - Name of the tool that produced the result
+ * @param {number} [offset] - Character offset to start at (default: 0)
+ * @param {boolean} [continuable] - Whether the tool accepts `response_offset` to continue (default: true)
+ * @returns {object} Tool result with at most MAGENTO_MAX_RESPONSE_CHARS characters of text
+ */
+function limitResponseSize(result, toolName, offset = 0, continuable = true) {
+  if (result?.structuredContent !== undefined && !result.isError) {
+    return limitStructuredResponseSize(result, toolName);
+  }
+
+  const content = result?.content?.[0];
+  if (content?.type !== 'text' || typeof content.text !== 'string') {
+    return result;
+  }
+
+  const { text } = content;
+  if (offset >= text.length && offset > 0) {
+    return {
+      content: [{ type: "text", text: `Error: response_offset ${offset} is past the end of the response (${text.length} characters)` }],
+      isError: true
+    };
+  }
+
+  const end = MAGENTO_MAX_RESPONSE_CHARS > 0 ? Math.min(offset + MAGENTO_MAX_RESPONSE_CHARS, text.length) : text.length;
+  if (offset === 0 && end === text.length) {
+    return result;
+  }
+
+  let page = text.slice(offset, end);
+  if (offset > 0) {
+    page = `[Continued from character ${offset} of ${text.length}]\n${page}`;
+  }
+  if (end < text.length) {
+    page += `\n\n[Response truncated: characters ${offset}-${end} of ${text.length} shown. ` +
+      (continuable
+        ? `Call ${toolName} again with the same arguments and response_offset: ${end} to continue, or use fields to request less data.]`
+        : `The remaining ${text.length - end} characters are not shown.]`);
+  }
+
+  return {
+    ...result,
+    content: [{ ...content, text: page }, ...result.content.slice(1)]
+  };
+}
+
+export {
+  withFieldsParam,
+  limitResponseSize,
+  continuationKey,
+  rememberForContinuation,
+  recallForContinuation
+};
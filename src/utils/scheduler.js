@@ -0,0 +1,106 @@
+import { RequestCancelledError } from './errors.js';
+
+/**
+ * Request scheduler limiting how many requests run at once and how fast new ones start.
+ * Tasks are started in FIFO order.
+ */
+class RequestScheduler {
+  /**
+   * @param {object} limits
+   * @param {number} limits.maxConcurrency - Maximum requests in flight (0 = unlimited)
+   * @param {number} limits.requestsPerSecond - Maximum request starts per second (0 = unlimited)
+   */
+  constructor({ maxConcurrency, requestsPerSecond }) {
+    this.maxConcurrency = maxConcurrency;
+    this.minIntervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.active = 0;
+    this.queue = [];
+    this.nextStartAt = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Queue a task and run it once a slot is available
+   * @param {Function} task - Function returning a promise
+   * @param {AbortSignal} [signal] - Drops the task from the queue when aborted before it starts
+   * @returns {Promise<any>} The task's result
+   * @throws {RequestCancelledError} If the signal is aborted before the task starts
+   */
+  schedule(task, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new RequestCancelledError());
+        return;
+      }
+
+      const entry = { task, resolve, reject };
+      if (signal) {
+        const onAbort = () => {
+          const index = this.queue.indexOf(entry);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(new RequestCancelledError());
+          }
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      this.queue.push(entry);
+      this.drain();
+    });
+  }
+
+  /**
+   * Start as many queued tasks as the limits allow
+   */
+  drain() {
+    while (this.queue.length > 0 && (this.maxConcurrency <= 0 || this.active < this.maxConcurrency)) {
+      if (this.minIntervalMs > 0) {
+        const now = Date.now();
+        if (now < this.nextStartAt) {
+          if (!this.timer) {
+            this.timer = setTimeout(() => {
+              this.timer = null;
+              this.drain();
+            }, this.nextStartAt - now);
+          }
+          return;
+        }
+        this.nextStartAt = now + this.minIntervalMs;
+      }
+
+      const { task, resolve, reject, cleanup } = this.queue.shift();
+      cleanup?.();
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+}
+
+// Instance name -> RequestScheduler
+const schedulers = new Map();
+
+/**
+ * Get the request scheduler shared by every call to an instance
+ * @param {object} instance - Instance configuration
+ * @returns {RequestScheduler} The instance's scheduler
+ */
+function getScheduler(instance) {
+  if (!schedulers.has(instance.name)) {
+    schedulers.set(instance.name, new RequestScheduler(instance.rateLimit));
+  }
+  return schedulers.get(instance.name);
+}
+
+export {
+  RequestScheduler,
+  getScheduler
+};
@@ -0,0 +1,179 @@
+// Condition types supported by Magento's SearchCriteria filters
+const CONDITION_TYPES = [
+  'eq', 'neq', 'gt', 'gteq', 'lt', 'lteq', 'like', 'nlike', 'in', 'nin',
+  'finset', 'nfinset', 'null', 'notnull', 'from', 'to', 'moreq'
+];
+
+// Conditions taking a list of values (sent comma-separated)
+const LIST_CONDITIONS = ['in', 'nin'];
+
+// Conditions that ignore the value (Magento still expects one to be sent)
+const VALUELESS_CONDITIONS = ['null', 'notnull'];
+
+/**
+ * Builder of Magento SearchCriteria query strings.
+ * Filters in the same group are combined with OR, groups are combined with AND.
+ *
+ * @example
+ * new SearchCriteriaBuilder()
+ *   .addFilter('status', ['pending', 'processing'], 'in')
+ *   .addFilterGroup([{ field: 'customer_email', value: '%@example.com', conditionType: 'like' },
+ *                    { field: 'customer_is_guest', value: 1 }])
+ *   .addSortOrder('created_at', 'DESC')
+ *   .setPageSize(20)
+ *   .build();
+ */
+class SearchCriteriaBuilder {
+  constructor() {
+    this.filterGroups = [];
+    this.sortOrders = [];
+    this.pageSize = undefined;
+    this.currentPage = undefined;
+  }
+
+  /**
+   * Add a filter in a group of its own (AND-ed with the other groups)
+   * @param {string} field - Field name
+   * @param {any} value - Value (an array for `in`/`nin`)
+   * @param {string} [conditionType] - Condition type (default: eq)
+   * @returns {SearchCriteriaBuilder} This builder
+   */
+  addFilter(field, value, conditionType = 'eq') {
+    return this.addFilterGroup([{ field, value, conditionType }]);
+  }
+
+  /**
+   * Add a group of filters combined with OR
+   * @param {Array<object>} filters - [{ field, value, conditionType }]
+   * @returns {SearchCriteriaBuilder} This builder
+   */
+  addFilterGroup(filters) {
+    if (filters.length === 0) {
+      return this;
+    }
+
+    this.filterGroups.push(filters.map(({ field, value, conditionType = 'eq' }) => {
+      if (!field) {
+        throw new Error('Search filters need a field');
+      }
+      if (!CONDITION_TYPES.includes(conditionType)) {
+        throw new Error(`Unsupported condition type '${conditionType}' for field '${field}'. Supported: ${CONDITION_TYPES.join(', ')}`);
+      }
+      if (value === undefined && !VALUELESS_CONDITIONS.includes(conditionType)) {
+        throw new Error(`Search filter on '${field}' (${conditionType}) needs a value`);
+      }
+      return { field, value, conditionType };
+    }));
+    return this;
+  }
+
+  /**
+   * Add a sort order (applied in the order added)
+   * @param {string} field - Field name
+   * @param {string} [direction] - ASC or DESC (default: ASC)
+   * @returns {SearchCriteriaBuilder} This builder
+   */
+  addSortOrder(field, direction = 'ASC') {
+    const normalized = String(direction).toUpperCase();
+    if (!['ASC', 'DESC'].includes(normalized)) {
+      throw new Error(`Invalid sort direction '${direction}' for field '${field}' (use ASC or DESC)`);
+    }
+
+    this.sortOrders.push({ field, direction: normalized });
+    return this;
+  }
+
+  /**
+   * @param {number} pageSize - Number of results per page
+   * @returns {SearchCriteriaBuilder} This builder
+   */
+  setPageSize(pageSize) {
+    this.pageSize = pageSize;
+    return this;
+  }
+
+  /**
+   * @param {number} currentPage - Page number (1-based)
+   * @returns {SearchCriteriaBuilder} This builder
+   */
+  setCurrentPage(currentPage) {
+    this.currentPage = currentPage;
+    return this;
+  }
+
+  /**
+   * Build the query string (without the leading `?`), with every field and value URL-encoded
+   * @returns {string} SearchCriteria query string
+   */
+  build() {
+    const params = [];
+    const add = (key, value) => params.push(`searchCriteria${key}=${encodeURIComponent(value)}`);
+
+    this.filterGroups.forEach((filters, groupIndex) => {
+      filters.forEach(({ field, value, conditionType }, filterIndex) => {
+        const prefix = `[filter_groups][${groupIndex}][filters][${filterIndex}]`;
+        let serialized = value;
+        if (LIST_CONDITIONS.includes(conditionType) && Array.isArray(value)) {
+          serialized = value.join(',');
+        } else if (value === undefined) {
+          serialized = 1;
+        } else if (typeof value === 'boolean') {
+          serialized = value ? 1 : 0;
+        }
+
+        add(`${prefix}[field]`, field);
+        add(`${prefix}[value]`, serialized);
+        add(`${prefix}[condition_type]`, conditionType);
+      });
+    });
+
+    this.sortOrders.forEach(({ field, direction }, index) => {
+      add(`[sortOrders][${index}][field]`, field);
+      add(`[sortOrders][${index}][direction]`, direction);
+    });
+
+    if (this.pageSize !== undefined) {
+      add('[pageSize]', this.pageSize);
+    }
+    if (this.currentPage !== undefined) {
+      add('[currentPage]', this.currentPage);
+    }
+
+    // Magento needs the parameter even when no criteria are set
+    return params.length > 0 ? params.join('&') : 'searchCriteria';
+  }
+}
+
+/**
+ * Create a builder from a JSON filter expression: an AND of OR-groups
+ * @param {object} expression
+ * @param {Array<Array<object>>} [expression.filter_groups] - [[{ field, value, condition_type }], ...]
+ * @param {Array<object>} [expression.sort_orders] - [{ field, direction }]
+ * @param {number} [expression.page_size] - Number of results per page
+ * @param {number} [expression.current_page] - Page number
+ * @returns {SearchCriteriaBuilder} Builder holding the expression
+ */
+function searchCriteriaFromExpression({ filter_groups = [], sort_orders = [], page_size, current_page } = {}) {
+  const builder = new SearchCriteriaBuilder();
+
+  for (const group of filter_groups) {
+    builder.addFilterGroup(group.map(({ field, value, condition_type }) => ({ field, value, conditionType: condition_type })));
+  }
+  for (const { field, direction } of sort_orders) {
+    builder.addSortOrder(field, direction);
+  }
+  if (page_size !== undefined) {
+    builder.setPageSize(page_size);
+  }
+  if (current_page !== undefined) {
+    builder.setCurrentPage(current_page);
+  }
+
+  return builder;
+}
+
+export {
+  CONDITION_TYPES,
+  SearchCriteriaBuilder,
+  searchCriteriaFromExpression
+};
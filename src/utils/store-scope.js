@@ -0,0 +1,46 @@
+// Store code of the global scope, shared by every store view
+const ALL_STORE_VIEWS = 'all';
+
+/**
+ * Base URL of an instance scoped to a store view: '/rest/V1' (or '/rest/<code>/V1') becomes '/rest/<storeCode>/V1'
+ * @param {object} instance - Instance configuration
+ * @param {string} [storeCode] - Store view code, or 'all'
+ * @returns {string} Base URL (the instance's own base URL when no store code is given)
+ * @throws {Error} If the base URL does not end in /rest/V1 or /rest/<code>/V1
+ */
+function scopedBaseUrl(instance, storeCode) {
+  if (!storeCode) {
+    return instance.baseUrl;
+  }
+
+  const match = instance.baseUrl.match(/^(.*\/rest)(\/[^/]+)?\/V1$/);
+  if (!match) {
+    throw new Error(
+      `store_code needs a base URL ending in /rest/V1, but Magento instance '${instance.name}' uses ${instance.baseUrl}`
+    );
+  }
+  return `${match[1]}/${encodeURIComponent(storeCode)}/V1`;
+}
+
+/**
+ * Check that a store code names a store view of the instance, or is 'all'
+ * @param {string} storeCode - Store code passed by the caller
+ * @param {Array<object>} storeViews - Store views of the instance (response of /store/storeViews)
+ * @throws {Error} If there is no such store view
+ */
+function assertStoreCode(storeCode, storeViews) {
+  if (storeCode === ALL_STORE_VIEWS) {
+    return;
+  }
+
+  const codes = (storeViews || []).map(storeView => storeView.code).filter(code => code !== 'admin');
+  if (!codes.includes(storeCode)) {
+    throw new Error(`Unknown store_code '${storeCode}'; use one of: ${[...codes, ALL_STORE_VIEWS].join(', ')}`);
+  }
+}
+
+export {
+  ALL_STORE_VIEWS,
+  scopedBaseUrl,
+  assertStoreCode
+};
@@ -0,0 +1,288 @@
+import { z } from 'zod';
+import { MAGENTO_INSTANCES, MAGENTO_DEFAULT_INSTANCE, MAGENTO_DRY_RUN } from '../config.js';
+import { runWithContext } from './request-context.js';
+import { isToolEnabled, isMutatingTool } from './policy.js';
+import { formatDryRunResult } from './dry-run.js';
+import {
+  requiresConfirmation,
+  issueConfirmationToken,
+  consumeConfirmationToken,
+  formatConfirmationRequest
+} from './confirmation.js';
+import { writeAuditEntry } from './audit-log.js';
+import { limitResponseSize, continuationKey, rememberForContinuation, recallForContinuation } from './response-size.js';
+import { decodeCursor } from './pagination.js';
+import { createProgressReporter } from './progress.js';
+import { callMagentoApi } from './api-client.js';
+import { ALL_STORE_VIEWS, assertStoreCode } from './store-scope.js';
+import { formatToolError } from './errors.js';
+
+// Modules whose tools report computed summaries or local data rather than Magento responses,
+// so a `fields` projection does not apply to them
+const UNPROJECTED_MODULES = ['analytics', 'audit', 'cache'];
+
+// Modules whose tools read and write store-view-specific values, and so accept a `store_code`
+const STORE_SCOPED_MODULES = ['products', 'categories', 'cms', 'store'];
+
+/**
+ * Build the schema of the `instance` argument added to every tool
+ * @returns {object} Zod schema
+ */
+function instanceSchema() {
+  const names = Object.keys(MAGENTO_INSTANCES);
+  const description = `Magento instance to query (default: ${MAGENTO_DEFAULT_INSTANCE})`;
+
+  return names.length > 0
+    ? z.enum(names).optional().describe(description)
+    : z.string().optional().describe(description);
+}
+
+/**
+ * Build the schema of the `dry_run` argument added to mutating tools
+ * @returns {object} Zod schema
+ */
+function dryRunSchema() {
+  const description = MAGENTO_DRY_RUN
+    ? 'Dry-run mode is enforced by the server configuration: the request is never sent'
+    : 'Return the request that would be sent and the current state of the target instead of making the change (default: false)';
+
+  return z.boolean().optional().describe(description);
+}
+
+/**
+ * Build the schema of the `store_code` argument added to store-scoped tools
+ * @returns {object} Zod schema
+ */
+function storeCodeSchema() {
+  return z.string().optional().describe(
+    `Store view code to read or write the values of (e.g., 'default'; see get_store_views), ` +
+    `or '${ALL_STORE_VIEWS}' for the global scope (default: the scope of the instance's base URL)`
+  );
+}
+
+/**
+ * Wrap the handler of a store-scoped tool so that an unknown `store_code` is rejected before anything is sent
+ * @param {Function} handler - Tool handler
+ * @returns {Function} Handler checking `store_code` against the instance's store views first
+ */
+function withStoreCodeCheck(handler) {
+  return async (args, extra) => {
+    if (args.store_code !== undefined && args.store_code !== ALL_STORE_VIEWS) {
+      try {
+        const storeViews = await callMagentoApi('/store/storeViews', 'GET', null, { fields: false, storeCode: null });
+        assertStoreCode(args.store_code, storeViews);
+      } catch (error) {
+        return formatToolError('checking store_code', error);
+      }
+    }
+    return handler(args, extra);
+  };
+}
+
+/**
+ * Resolve the arguments of a list tool call continuing from a cursor
+ * @param {string} name - Tool name
+ * @param {object} paramsSchema - Zod shape of the tool's own arguments
+ * @param {string} cursor - Cursor passed by the caller
+ * @param {string|undefined} requestedInstance - Instance passed explicitly by the caller
+ * @returns {object} { instance, args } of the page the cursor points at
+ * @throws {Error} If the cursor is invalid or points at another instance
+ */
+function resolveCursor(name, paramsSchema, cursor, requestedInstance) {
+  const { instance, args, page } = decodeCursor(cursor, name);
+  if (requestedInstance !== undefined && requestedInstance !== instance) {
+    throw new Error(`Cursor was returned for Magento instance '${instance}', not '${requestedInstance}'`);
+  }
+
+  const parsed = z.object(paramsSchema).safeParse({ ...args, current_page: page });
+  if (!parsed.success) {
+    throw new Error(`Invalid cursor "${cursor}"`);
+  }
+  return { instance, args: parsed.data };
+}
+
+/**
+ * Run a tool handler for one call, applying dry-run and confirmation handling
+ * @param {object} tool - { name, handler, mutating, confirmed }
+ * @param {object} args - Tool arguments with the common arguments already separated
+ * @param {object} context - Request context of the call
+ * @param {string|undefined} confirmationToken - Token passed by the caller
+ * @param {object} extra - Request handler extra passed by the MCP server
+ * @returns {Promise<object>} { result, outcome }
+ */
+async function runTool(tool, args, context, confirmationToken, extra) {
+  const { name, handler, confirmed } = tool;
+
+  if (confirmed && !context.dryRun && confirmationToken !== undefined &&
+    !consumeConfirmationToken(confirmationToken, name, context.instance, args)) {
+    return {
+      outcome: 'rejected',
+      result: {
+        content: [{
+          type: "text",
+          text: `Error: confirmation token "${confirmationToken}" is invalid, expired, already used or was issued ` +
+            `for different arguments. Call ${name} again without confirmation_token to get a new one.`
+        }],
+        isError: true
+      }
+    };
+  }
+
+  // Unconfirmed destructive calls run as a dry run that issues a token
+  const awaitingConfirmation = confirmed && !context.dryRun && confirmationToken === undefined;
+  const dryRun = context.dryRun;
+  context.dryRun = dryRun || awaitingConfirmation;
+
+  const result = await runWithContext(context, () => handler(args, extra));
+
+  // The handler was interrupted at its first write; report the planned request instead of its error
+  if (!context.dryRunPlan) {
+    return { result, outcome: result?.isError ? 'error' : 'success' };
+  }
+  if (awaitingConfirmation) {
+    const token = issueConfirmationToken(name, context.instance, args);
+    return { result: formatConfirmationRequest(context.dryRunPlan, token), outcome: 'confirmation_required' };
+  }
+  return { result: formatDryRunResult(context.dryRunPlan), outcome: 'dry_run' };
+}
+
+/**
+ * Wrap an MCP server so that every tool registered through it accepts an optional
+ * `instance` argument and runs inside a request context selecting that instance.
+ * Mutating tools also accept `dry_run` and are recorded in the audit log; destructive tools first return
+ * a summary and a confirmation token, and only execute when called again with `confirmation_token`.
+ * Read tools accept a `fields` projection and `response_offset`, and every response is cut to MAGENTO_MAX_RESPONSE_CHARS
+ * (tools with an output schema have no `response_offset`: their structured results over the limit become an error).
+ * Paginated list tools (those taking `current_page`) also accept the `cursor` returned in their results.
+ * Product, category, CMS and store tools accept a `store_code` routing their calls to /rest/<store_code>/V1.
+ * The call's abort signal and progress reporter are passed to the API client through the context.
+ * Tools disabled by the configured policy (read-only mode, allow/deny lists) are not registered.
+ * @param {object} server - MCP server instance
+ * @param {string} moduleName - Name of the tool module registering through the wrapper (e.g. 'creditmemos')
+ * @returns {object} Object exposing the same `tool()` and `registerTool()` registration methods, plus the names of
+ * `disabledTools`
+ */
+function createToolRegistry(server, moduleName) {
+  const disabledTools = [];
+
+  return {
+    disabledTools,
+
+    tool(name, description, paramsSchema, handler) {
+      return this.registerTool(name, { description, inputSchema: paramsSchema }, handler);
+    },
+
+    /**
+     * Register a tool with an optional output schema; its handler then returns `structuredContent`
+     * @param {string} name - Tool name
+     * @param {object} config - { description, inputSchema, outputSchema }
+     * @param {Function} handler - Tool handler
+     * @returns {object|undefined} Registered tool, or undefined when disabled by the policy
+     */
+    registerTool(name, { description, inputSchema: paramsSchema = {}, outputSchema }, handler) {
+      if (!isToolEnabled(name, moduleName)) {
+        disabledTools.push(name);
+        return undefined;
+      }
+
+      const mutating = isMutatingTool(name);
+      const confirmed = requiresConfirmation(name);
+      const projectable = !mutating && !UNPROJECTED_MODULES.includes(moduleName);
+      const paginated = 'current_page' in paramsSchema;
+      const storeScoped = STORE_SCOPED_MODULES.includes(moduleName);
+      const argsSchema = storeScoped ? { ...paramsSchema, store_code: storeCodeSchema() } : paramsSchema;
+      const toolHandler = storeScoped ? withStoreCodeCheck(handler) : handler;
+      const schema = {
+        ...argsSchema,
+        instance: instanceSchema(),
+        ...(projectable ? {
+          fields: z.string().optional()
+            .describe("Only return these fields, in Magento's fields syntax (e.g., 'items[sku,name,price],total_count')")
+        } : {}),
+        ...(mutating || outputSchema ? {} : {
+          response_offset: z.number().int().min(0).optional()
+            .describe('Character offset to continue a truncated response from (given in the truncation notice). ' +
+              'Continuations within 5 minutes are cut from the stored response; later ones run the call again')
+        }),
+        ...(paginated ? {
+          cursor: z.string().optional()
+            .describe('next_cursor of a previous call, to get the following page (replaces the other arguments)')
+        } : {}),
+        ...(mutating ? { dry_run: dryRunSchema() } : {}),
+        ...(confirmed ? {
+          confirmation_token: z.string().optional()
+            .describe('Token returned by the first call of this tool; required to actually perform the operation')
+        } : {})
+      };
+
+      // Tools with an output schema take no response_offset; reject it (and other unknown arguments) rather than
+      // silently dropping it
+      const inputSchema = outputSchema ? z.object(schema).strict() : schema;
+
+      return server.registerTool(name, { description, inputSchema, outputSchema }, async (args, extra) => {
+        let {
+          instance = MAGENTO_DEFAULT_INSTANCE,
+          dry_run = false,
+          confirmation_token,
+          fields,
+          response_offset = 0,
+          cursor,
+          ...toolArgs
+        } = args;
+
+        if (cursor !== undefined) {
+          try {
+            ({ instance, args: toolArgs } = resolveCursor(name, argsSchema, cursor, args.instance));
+          } catch (error) {
+            return { content: [{ type: "text", text: `Error: ${error.message}` }], isError: true };
+          }
+        }
+
+        const context = {
+          instance,
+          toolName: name,
+          toolArgs,
+          storeCode: toolArgs.store_code,
+          fields,
+          signal: extra?.signal,
+          reportProgress: createProgressReporter(extra),
+          dryRun: mutating && (MAGENTO_DRY_RUN || dry_run),
+          auditedRequests: mutating ? [] : undefined
+        };
+
+        // Continuations of a truncated response are cut from the stored result rather than fetched again
+        const continuable = !mutating && !outputSchema;
+        const continuation = continuable ? continuationKey(name, instance, toolArgs, fields) : undefined;
+        const storedResult = continuable && response_offset > 0 ? recallForContinuation(continuation) : undefined;
+
+        const startedAt = Date.now();
+        const { result: fullResult, outcome } = storedResult
+          ? { result: storedResult }
+          : await runTool({ name, handler: toolHandler, confirmed }, toolArgs, context, confirmation_token, extra);
+        if (continuable && !storedResult) {
+          rememberForContinuation(continuation, fullResult);
+        }
+        const result = limitResponseSize(fullResult, name, response_offset, continuable);
+
+        if (mutating) {
+          await writeAuditEntry({
+            instance,
+            tool: name,
+            arguments: toolArgs,
+            outcome,
+            duration_ms: Date.now() - startedAt,
+            requests: context.auditedRequests,
+            result: fullResult?.content?.[0]?.text,
+            error: fullResult?.isError ? fullResult.content?.[0]?.text : undefined
+          });
+        }
+
+        return result;
+      });
+    }
+  };
+}
+
+export {
+  createToolRegistry
+};
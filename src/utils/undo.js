@@ -0,0 +1,95 @@
+// Tools whose changes can be undone from the snapshot recorded in the audit log
+const UNDOABLE_TOOLS = ['update_product', 'update_product_attribute', 'update_category', 'update_cms_page', 'update_cms_block'];
+
+// Fields Magento bumps on every save, used to detect later modifications
+const VERSION_FIELDS = ['updated_at', 'update_time'];
+
+/**
+ * Find the custom attribute of an entity
+ * @param {object} entity - Entity with a custom_attributes array
+ * @param {string} code - Attribute code
+ * @returns {object|undefined} Attribute ({ attribute_code, value }), or undefined when the entity does not have it
+ */
+function findCustomAttribute(entity, code) {
+  return (entity?.custom_attributes || []).find(attr => attr.attribute_code === code);
+}
+
+/**
+ * Find the custom attribute value of an entity
+ * @param {object} entity - Entity with a custom_attributes array
+ * @param {string} code - Attribute code
+ * @returns {any} Attribute value, or null when the entity does not have it
+ */
+function customAttributeValue(entity, code) {
+  const attribute = findCustomAttribute(entity, code);
+  return attribute ? attribute.value : null;
+}
+
+/**
+ * Build the payload restoring the fields a write changed to their values in the snapshot
+ * @param {object} payload - Payload of the original write (e.g. { product: { price, custom_attributes } })
+ * @param {object} before - Snapshot of the entity taken before the write
+ * @returns {object} Payload with the same shape holding the previous values
+ * @throws {Error} If the snapshot does not hold a field the write changed, rather than guessing its previous value
+ */
+function buildRestorePayload(payload, before) {
+  const restored = {};
+  const missing = [];
+
+  for (const [wrapper, fields] of Object.entries(payload)) {
+    restored[wrapper] = {};
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (field === 'custom_attributes') {
+        restored[wrapper].custom_attributes = value.map(attr => {
+          const previous = findCustomAttribute(before, attr.attribute_code);
+          if (!previous) {
+            missing.push(`custom_attributes.${attr.attribute_code}`);
+          }
+          return { attribute_code: attr.attribute_code, value: previous?.value ?? null };
+        });
+      } else if (before && Object.hasOwn(before, field)) {
+        restored[wrapper][field] = before[field];
+      } else {
+        missing.push(field);
+      }
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      `The snapshot taken before the change does not hold the previous value of ${missing.join(', ')}; ` +
+      `refusing to undo rather than overwrite ${missing.length === 1 ? 'it' : 'them'} with null`
+    );
+  }
+
+  return restored;
+}
+
+/**
+ * Whether an entity was modified after a change, comparing Magento's update timestamp when available
+ * and otherwise the values the change wrote
+ * @param {object} written - Entity as returned by the original write
+ * @param {object} payload - Payload of the original write
+ * @param {object} current - Current state of the entity
+ * @returns {boolean} True if the entity no longer matches the change
+ */
+function isModifiedSince(written, payload, current) {
+  const versionField = VERSION_FIELDS.find(field => written?.[field] !== undefined && current?.[field] !== undefined);
+  if (versionField) {
+    return written[versionField] !== current[versionField];
+  }
+
+  return Object.values(payload).some(fields => Object.entries(fields).some(([field, value]) => {
+    if (field === 'custom_attributes') {
+      return value.some(attr => String(customAttributeValue(current, attr.attribute_code)) !== String(attr.value));
+    }
+    return String(current?.[field]) !== String(value);
+  }));
+}
+
+export {
+  UNDOABLE_TOOLS,
+  buildRestorePayload,
+  isModifiedSince
+};
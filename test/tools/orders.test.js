@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+// Guest orders have no customer name, and Magento returns null for it
+const GUEST_ORDER = {
+  entity_id: 7,
+  increment_id: '100000007',
+  status: 'pending',
+  state: 'new',
+  customer_email: 'guest@example.com',
+  customer_firstname: null,
+  customer_lastname: null,
+  customer_is_guest: 1,
+  grand_total: 20,
+  order_currency_code: 'EUR',
+  items: [],
+  status_histories: []
+};
+
+let magento;
+let client;
+
+before(async () => {
+  magento = createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url.startsWith('/rest/V1/orders/7')) {
+      return res.end(JSON.stringify(GUEST_ORDER));
+    }
+    res.statusCode = 404;
+    res.end(JSON.stringify({ message: 'Not found' }));
+  });
+  await new Promise(resolve => magento.listen(0, '127.0.0.1', resolve));
+
+  // The configuration is read from the environment when first imported
+  process.env.MAGENTO_BASE_URL = `http://127.0.0.1:${magento.address().port}/rest/V1`;
+  process.env.MAGENTO_API_TOKEN = 'test-token';
+  process.env.MAGENTO_AUDIT_LOG_ENABLED = 'false';
+  const { createToolRegistry } = await import('../../src/utils/tool-registry.js');
+  const { registerOrderTools } = await import('../../src/tools/orders.js');
+
+  const server = new McpServer({ name: 'test', version: '1.0.0' });
+  registerOrderTools(createToolRegistry(server, 'orders'));
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+});
+
+after(async () => {
+  await client?.close();
+  magento?.close();
+});
+
+test('get_order_by_id returns a guest order with null customer names', async () => {
+  const result = await client.callTool({ name: 'get_order_by_id', arguments: { order_id: 7 } });
+
+  assert.equal(result.isError, undefined);
+  assert.equal(result.structuredContent.order.customer_firstname, null);
+  assert.equal(result.structuredContent.order.customer_email, 'guest@example.com');
+  assert.match(result.content[0].text, /^Order #100000007 \(entity 7\): pending, grand total 20 EUR, guest@example\.com/);
+});
+
+test('search_orders rejects a page_size that is not a positive integer', async () => {
+  for (const page_size of [0, 2.5]) {
+    const result = await client.callTool({ name: 'search_orders', arguments: { page_size } });
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /page_size/);
+  }
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Entries are built but not written to disk
+process.env.MAGENTO_AUDIT_LOG_ENABLED = 'false';
+const { redactSecrets, writeAuditEntry } = await import('../../src/utils/audit-log.js');
+
+test('redactSecrets replaces the values of secret-looking keys at any depth', () => {
+  const redacted = redactSecrets({
+    customer: { email: 'a@example.com', password: 'hunter22' },
+    payment: [{ cc_number: '4111111111111111', cc_type: 'VI' }],
+    headers: { Authorization: 'Bearer abc' }
+  });
+
+  assert.deepEqual(redacted, {
+    customer: { email: 'a@example.com', password: '[REDACTED]' },
+    payment: [{ cc_number: '[REDACTED]', cc_type: 'VI' }],
+    headers: { Authorization: '[REDACTED]' }
+  });
+});
+
+test('redactSecrets keeps null secrets and non-object values', () => {
+  assert.deepEqual(redactSecrets({ token: null }), { token: null });
+  assert.equal(redactSecrets('plain text'), 'plain text');
+});
+
+test('writeAuditEntry scrubs the confirmation token from the result text', async () => {
+  const token = 'c0nf1rm-t0ken-123456';
+  const result = JSON.stringify({
+    confirmation_required: true,
+    message: `Nothing was changed. To proceed, call delete_product again with confirmation_token "${token}".`,
+    confirmation_token: token
+  }, null, 2);
+
+  const record = await writeAuditEntry({ tool: 'delete_product', arguments: { sku: 'MUG-1' }, outcome: 'confirmation_required', result });
+
+  assert.ok(!record.result.includes(token));
+  assert.match(record.result, /"confirmation_token": "\[REDACTED\]"/);
+  assert.match(record.result, /with confirmation_token \\"\[REDACTED\]\\"/);
+  assert.deepEqual(record.arguments, { sku: 'MUG-1' });
+});
+
+test('writeAuditEntry scrubs argument secrets echoed in the error text', async () => {
+  const record = await writeAuditEntry({
+    tool: 'create_customer',
+    arguments: { email: 'a@example.com', password: 'S3cretPass' },
+    outcome: 'error',
+    error: 'Error: password S3cretPass is too weak'
+  });
+
+  assert.equal(record.arguments.password, '[REDACTED]');
+  assert.equal(record.error, 'Error: password [REDACTED] is too weak');
+});
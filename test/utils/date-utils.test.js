@@ -0,0 +1,98 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let resolveCalendarRange;
+let zonedTimeToUtc;
+let parseDateExpression;
+
+// Thursday 15 May 2025
+const TODAY = new Date(2025, 4, 15);
+
+/**
+ * Format the local calendar date of a Date as YYYY-MM-DD
+ * @param {Date} date - Calendar date
+ * @returns {string} Formatted date
+ */
+function day(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+}
+
+/**
+ * Resolve an expression relative to TODAY as [first day, last day]
+ * @param {string} expression - Normalized date expression
+ * @returns {Array<string>|null} Days of the range, or null if not recognized
+ */
+function days(expression) {
+  const range = resolveCalendarRange(expression, TODAY);
+  return range && [day(range.startDate), day(range.endDate)];
+}
+
+before(async () => {
+  // The configuration is read from the environment when first imported
+  process.env.MAGENTO_BASE_URL = 'http://127.0.0.1:1/rest/V1';
+  process.env.MAGENTO_API_TOKEN = 'test-token';
+  process.env.MAGENTO_FISCAL_YEAR_START_MONTH = '4';
+  ({ resolveCalendarRange, zonedTimeToUtc, parseDateExpression } = await import('../../src/utils/date-utils.js'));
+});
+
+test('resolveCalendarRange resolves relative expressions against today', () => {
+  assert.deepEqual(days('yesterday'), ['2025-05-14', '2025-05-14']);
+  assert.deepEqual(days('this week'), ['2025-05-12', '2025-05-15']);
+  assert.deepEqual(days('last week'), ['2025-05-05', '2025-05-11']);
+  assert.deepEqual(days('last month'), ['2025-04-01', '2025-04-30']);
+  assert.deepEqual(days('last quarter'), ['2025-01-01', '2025-03-31']);
+  assert.deepEqual(days('last 7 days'), ['2025-05-09', '2025-05-15']);
+  assert.deepEqual(days('last 0 days'), null);
+});
+
+test('resolveCalendarRange resolves named periods, fiscal years and explicit dates', () => {
+  assert.deepEqual(days('q1 2025'), ['2025-01-01', '2025-03-31']);
+  assert.deepEqual(days('feb 2024'), ['2024-02-01', '2024-02-29']);
+  assert.deepEqual(days('fy2025'), ['2024-04-01', '2025-03-31']);
+  assert.deepEqual(days('fytd'), ['2025-04-01', '2025-05-15']);
+  assert.deepEqual(days('2025-01-01 to 2025-01-31'), ['2025-01-01', '2025-01-31']);
+  assert.deepEqual(days('since 2025-05-01'), ['2025-05-01', '2025-05-15']);
+  assert.equal(days('next tuesday'), null);
+});
+
+test('resolveCalendarRange shifts "same period last year" one year back', () => {
+  assert.deepEqual(days('same period last year'), ['2024-01-01', '2024-05-15']);
+  assert.deepEqual(days('last month same period last year'), ['2024-04-01', '2024-04-30']);
+  assert.equal(resolveCalendarRange('this month same period last year', TODAY).description,
+    'This month, same period last year');
+});
+
+test('zonedTimeToUtc applies the offset in effect at the wall-clock time', () => {
+  assert.equal(zonedTimeToUtc(2025, 1, 15, [12, 0, 0, 0], 'Europe/Madrid').toISOString(), '2025-01-15T11:00:00.000Z');
+  assert.equal(zonedTimeToUtc(2025, 7, 15, [12, 0, 0, 0], 'Europe/Madrid').toISOString(), '2025-07-15T10:00:00.000Z');
+  assert.equal(zonedTimeToUtc(2025, 7, 15, [12, 0, 0, 0], 'UTC').toISOString(), '2025-07-15T12:00:00.000Z');
+});
+
+test('zonedTimeToUtc resolves times skipped or repeated by a DST change', () => {
+  // Madrid skips 02:00-03:00 on 30 March 2025 and repeats 02:00-03:00 on 26 October 2025
+  assert.equal(zonedTimeToUtc(2025, 3, 30, [2, 30, 0, 0], 'Europe/Madrid').toISOString(), '2025-03-30T01:30:00.000Z');
+  assert.equal(zonedTimeToUtc(2025, 10, 26, [2, 30, 0, 0], 'Europe/Madrid').toISOString(), '2025-10-26T00:30:00.000Z');
+});
+
+test('parseDateExpression covers whole days across DST changes', () => {
+  const spring = parseDateExpression('2025-03-30', 'Europe/Madrid');
+  assert.equal(spring.startDate.toISOString(), '2025-03-29T23:00:00.000Z');
+  assert.equal(spring.endDate.toISOString(), '2025-03-30T21:59:59.999Z');
+
+  const autumn = parseDateExpression('2025-10-26', 'Europe/Madrid');
+  assert.equal(autumn.startDate.toISOString(), '2025-10-25T22:00:00.000Z');
+  assert.equal(autumn.endDate.toISOString(), '2025-10-26T22:59:59.999Z');
+});
+
+test('parseDateExpression handles DST changes at midnight', () => {
+  // Santiago skips midnight to 01:00 on 8 September 2024, and goes back from midnight to 23:00 on 6 April 2025
+  const skipped = parseDateExpression('2024-09-08', 'America/Santiago');
+  assert.equal(skipped.startDate.toISOString(), '2024-09-08T04:00:00.000Z');
+  assert.equal(skipped.endDate.toISOString(), '2024-09-09T02:59:59.999Z');
+
+  const repeated = parseDateExpression('2025-04-05', 'America/Santiago');
+  assert.equal(repeated.startDate.toISOString(), '2025-04-05T03:00:00.000Z');
+  assert.equal(repeated.endDate.toISOString(), '2025-04-06T03:59:59.999Z');
+});
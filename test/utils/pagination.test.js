@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor, withPagination } from '../../src/utils/pagination.js';
+import { runWithContext } from '../../src/utils/request-context.js';
+
+/**
+ * Encode raw cursor contents the way encodeCursor does
+ * @param {any} position - Cursor contents
+ * @returns {string} Cursor
+ */
+function rawCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+test('a cursor decodes back to the position it was encoded from', () => {
+  const args = { status: 'pending', page_size: 20 };
+  const cursor = encodeCursor({ tool: 'search_orders', instance: 'eu', args, page: 3 });
+
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(cursor, 'search_orders'), { instance: 'eu', args, page: 3 });
+});
+
+test('a cursor issued by another tool is rejected', () => {
+  const cursor = encodeCursor({ tool: 'search_orders', instance: undefined, args: {}, page: 2 });
+
+  assert.throws(() => decodeCursor(cursor, 'search_invoices'),
+    /Cursor was returned by search_orders; pass it to that tool instead of search_invoices/);
+});
+
+test('malformed cursors are rejected', () => {
+  for (const cursor of [
+    'not a cursor',
+    rawCursor(null),
+    rawCursor({ t: 'search_orders', a: null, p: 2 }),
+    rawCursor({ t: 'search_orders', a: {}, p: '2' }),
+    rawCursor({ t: 'search_orders', a: {}, p: 1.5 }),
+    rawCursor({ t: 'search_orders', a: {}, p: 0 })
+  ]) {
+    assert.throws(() => decodeCursor(cursor, 'search_orders'), /Invalid cursor/, cursor);
+  }
+});
+
+test('withPagination points next_cursor at the following page', () => {
+  const context = { toolName: 'search_orders', instance: 'eu', toolArgs: { status: 'pending', current_page: 1 } };
+  const results = runWithContext(context, () => withPagination({ items: [{}, {}], total_count: 5 }, 2, 1));
+
+  assert.equal(results.pagination.has_more, true);
+  assert.equal(results.pagination.total_pages, 3);
+  assert.equal(results.pagination.summary, 'Items 1-2 of 5 (page 1 of 3); pass next_cursor as cursor for the next page');
+  assert.deepEqual(decodeCursor(results.pagination.next_cursor, 'search_orders'), {
+    instance: 'eu',
+    args: { status: 'pending', page_size: 2 },
+    page: 2
+  });
+});
+
+test('withPagination ends on the last page', () => {
+  const context = { toolName: 'search_orders', toolArgs: {} };
+  const results = runWithContext(context, () => withPagination({ items: [{}], total_count: 5 }, 2, 3));
+
+  assert.equal(results.pagination.has_more, false);
+  assert.equal(results.pagination.next_cursor, null);
+  assert.equal(results.pagination.summary, 'Items 5-5 of 5 (page 3 of 3); this is the last page');
+});
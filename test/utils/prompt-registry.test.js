@@ -0,0 +1,53 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let createPromptRegistry;
+let registerOrderPrompts;
+let registerCategoryPrompts;
+
+/**
+ * Register a prompt module against a stand-in server recording what gets registered
+ * @param {Function} registerPrompts - Prompt module registration function
+ * @param {string} moduleName - Module whose tools the prompts use
+ * @returns {object} { prompts: name -> callback, disabledPrompts }
+ */
+function register(registerPrompts, moduleName) {
+  const prompts = {};
+  const server = {
+    registerPrompt(name, config, callback) {
+      prompts[name] = callback;
+      return { name };
+    }
+  };
+  const registry = createPromptRegistry(server, moduleName);
+  registerPrompts(registry);
+  return { prompts, disabledPrompts: registry.disabledPrompts };
+}
+
+before(async () => {
+  // The policy is read from the environment when first imported
+  process.env.MAGENTO_BASE_URL = 'http://127.0.0.1:1/rest/V1';
+  process.env.MAGENTO_API_TOKEN = 'test-token';
+  process.env.MAGENTO_AUDIT_LOG_ENABLED = 'false';
+  process.env.MAGENTO_MODULES_DENY = 'shipments';
+  process.env.MAGENTO_TOOLS_DENY = 'search_invoices,get_product_by_sku';
+  ({ createPromptRegistry } = await import('../../src/utils/prompt-registry.js'));
+  ({ registerOrderPrompts } = await import('../../src/prompts/orders.js'));
+  ({ registerCategoryPrompts } = await import('../../src/prompts/categories.js'));
+});
+
+test('a prompt leaves out the steps whose tools are disabled', () => {
+  const { prompts, disabledPrompts } = register(registerOrderPrompts, 'orders');
+  assert.deepEqual(disabledPrompts, []);
+
+  const text = prompts.investigate_order({ increment_id: '000000123' }).messages[0].content.text;
+  assert.match(text, /1\. Call get_order_by_increment_id/);
+  assert.match(text, /2\. Using the entity_id as order_id, call get_order_items, get_order_comments, search_creditmemos\./);
+  assert.doesNotMatch(text, /search_invoices|search_shipments|tracking numbers/);
+});
+
+test('a prompt is hidden when a tool it requires is disabled', () => {
+  const { prompts, disabledPrompts } = register(registerCategoryPrompts, 'categories');
+  assert.deepEqual(disabledPrompts, ['catalog_seo_audit']);
+  assert.equal(prompts.catalog_seo_audit, undefined);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitOpenError, getCircuitBreaker } from '../../src/utils/resilience.js';
+
+const SERVER_ERROR = Object.assign(new Error('Request failed'), { response: { status: 503 } });
+
+/**
+ * Get a circuit breaker of its own for a test
+ * @param {string} name - Instance name, unique per test
+ * @param {number} resetMs - How long the circuit stays open
+ * @returns {object} Circuit breaker that opens after two failures
+ */
+function breaker(name, resetMs) {
+  return getCircuitBreaker({ name, circuitBreaker: { failureThreshold: 2, resetMs } });
+}
+
+test('the circuit opens after consecutive failures and fails fast', () => {
+  const circuit = breaker('opens', 60000);
+
+  circuit.assertCanRequest();
+  circuit.recordFailure(SERVER_ERROR);
+  circuit.assertCanRequest();
+  circuit.recordFailure(SERVER_ERROR);
+
+  assert.throws(() => circuit.assertCanRequest(), error =>
+    error instanceof CircuitOpenError && /'opens' appears to be down: 2 consecutive requests failed \(last error: HTTP 503\)/.test(error.message));
+});
+
+test('a success resets the failure count', () => {
+  const circuit = breaker('resets', 60000);
+
+  circuit.recordFailure(SERVER_ERROR);
+  circuit.recordSuccess();
+  circuit.recordFailure(SERVER_ERROR);
+
+  circuit.assertCanRequest();
+});
+
+test('after the reset delay a single trial request is let through', () => {
+  const circuit = breaker('trial', 0);
+  circuit.recordFailure(SERVER_ERROR);
+  circuit.recordFailure(SERVER_ERROR);
+
+  circuit.assertCanRequest();
+  assert.throws(() => circuit.assertCanRequest(), CircuitOpenError);
+
+  // After a failed trial (and the reset delay) the next request is the trial; a successful one closes the circuit
+  circuit.recordFailure(SERVER_ERROR);
+  circuit.assertCanRequest();
+  circuit.recordSuccess();
+  circuit.assertCanRequest();
+  circuit.assertCanRequest();
+});
+
+test('a released trial lets the next request be the trial', () => {
+  const circuit = breaker('released', 0);
+  circuit.recordFailure(SERVER_ERROR);
+  circuit.recordFailure(SERVER_ERROR);
+
+  circuit.assertCanRequest();
+  circuit.releaseTrial();
+
+  circuit.assertCanRequest();
+  assert.throws(() => circuit.assertCanRequest(), CircuitOpenError);
+});
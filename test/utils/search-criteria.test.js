@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchCriteriaBuilder, searchCriteriaFromExpression } from '../../src/utils/search-criteria.js';
+
+/**
+ * Decode a SearchCriteria query string into [key, value] pairs
+ * @param {string} query - Query string built by SearchCriteriaBuilder
+ * @returns {Array<Array<string>>} Decoded parameters in order
+ */
+function params(query) {
+  return [...new URLSearchParams(query)];
+}
+
+test('an empty builder still sends the searchCriteria parameter', () => {
+  assert.equal(new SearchCriteriaBuilder().build(), 'searchCriteria');
+});
+
+test('filters in a group are OR-ed and groups are AND-ed', () => {
+  const query = new SearchCriteriaBuilder()
+    .addFilter('status', 'pending')
+    .addFilterGroup([
+      { field: 'customer_email', value: '%@example.com', conditionType: 'like' },
+      { field: 'customer_is_guest', value: true }
+    ])
+    .build();
+
+  assert.deepEqual(params(query), [
+    ['searchCriteria[filter_groups][0][filters][0][field]', 'status'],
+    ['searchCriteria[filter_groups][0][filters][0][value]', 'pending'],
+    ['searchCriteria[filter_groups][0][filters][0][condition_type]', 'eq'],
+    ['searchCriteria[filter_groups][1][filters][0][field]', 'customer_email'],
+    ['searchCriteria[filter_groups][1][filters][0][value]', '%@example.com'],
+    ['searchCriteria[filter_groups][1][filters][0][condition_type]', 'like'],
+    ['searchCriteria[filter_groups][1][filters][1][field]', 'customer_is_guest'],
+    ['searchCriteria[filter_groups][1][filters][1][value]', '1'],
+    ['searchCriteria[filter_groups][1][filters][1][condition_type]', 'eq']
+  ]);
+});
+
+test('list conditions are sent comma-separated and values are URL-encoded', () => {
+  const query = new SearchCriteriaBuilder()
+    .addFilter('sku', ['A&B', 'C D'], 'in')
+    .addFilter('special_price', undefined, 'null')
+    .build();
+
+  assert.match(query, /\[value\]=A%26B%2CC%20D&/);
+  assert.deepEqual(params(query).filter(([key]) => key.endsWith('[value]')).map(([, value]) => value), ['A&B,C D', '1']);
+});
+
+test('sort orders and paging are added after the filters', () => {
+  const query = new SearchCriteriaBuilder()
+    .addSortOrder('created_at', 'desc')
+    .addSortOrder('entity_id')
+    .setPageSize(20)
+    .setCurrentPage(2)
+    .build();
+
+  assert.deepEqual(params(query), [
+    ['searchCriteria[sortOrders][0][field]', 'created_at'],
+    ['searchCriteria[sortOrders][0][direction]', 'DESC'],
+    ['searchCriteria[sortOrders][1][field]', 'entity_id'],
+    ['searchCriteria[sortOrders][1][direction]', 'ASC'],
+    ['searchCriteria[pageSize]', '20'],
+    ['searchCriteria[currentPage]', '2']
+  ]);
+});
+
+test('invalid filters and sort directions are rejected', () => {
+  const builder = new SearchCriteriaBuilder();
+
+  assert.throws(() => builder.addFilter('sku', 'A', 'contains'), /Unsupported condition type 'contains'/);
+  assert.throws(() => builder.addFilter('sku', undefined), /needs a value/);
+  assert.throws(() => builder.addFilterGroup([{ value: 'A' }]), /need a field/);
+  assert.throws(() => builder.addSortOrder('sku', 'up'), /Invalid sort direction 'up'/);
+});
+
+test('searchCriteriaFromExpression builds the same query as the builder', () => {
+  const expression = {
+    filter_groups: [[{ field: 'status', value: 'complete', condition_type: 'neq' }]],
+    sort_orders: [{ field: 'grand_total', direction: 'DESC' }],
+    page_size: 5
+  };
+  const expected = new SearchCriteriaBuilder()
+    .addFilter('status', 'complete', 'neq')
+    .addSortOrder('grand_total', 'DESC')
+    .setPageSize(5)
+    .build();
+
+  assert.equal(searchCriteriaFromExpression(expression).build(), expected);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRestorePayload, isModifiedSince } from '../../src/utils/undo.js';
+
+const BEFORE = {
+  sku: 'MUG-1',
+  price: 12,
+  special_price: null,
+  custom_attributes: [{ attribute_code: 'color', value: 'red' }]
+};
+
+test('buildRestorePayload restores the previous values of the written fields', () => {
+  const payload = { product: { price: 15, custom_attributes: [{ attribute_code: 'color', value: 'blue' }] } };
+
+  assert.deepEqual(buildRestorePayload(payload, BEFORE), {
+    product: { price: 12, custom_attributes: [{ attribute_code: 'color', value: 'red' }] }
+  });
+});
+
+test('buildRestorePayload restores fields that were null in the snapshot', () => {
+  assert.deepEqual(buildRestorePayload({ product: { special_price: 9 } }, BEFORE), { product: { special_price: null } });
+});
+
+test('buildRestorePayload refuses fields missing from the snapshot', () => {
+  const payload = { product: { price: 15, weight: 2, custom_attributes: [{ attribute_code: 'size', value: 'L' }] } };
+
+  assert.throws(() => buildRestorePayload(payload, BEFORE), /previous value of weight, custom_attributes\.size/);
+});
+
+test('isModifiedSince compares update timestamps when both sides have one', () => {
+  const payload = { product: { price: 15 } };
+
+  assert.equal(isModifiedSince({ updated_at: 'a', price: 15 }, payload, { updated_at: 'a', price: 99 }), false);
+  assert.equal(isModifiedSince({ updated_at: 'a' }, payload, { updated_at: 'b', price: 15 }), true);
+});
+
+test('isModifiedSince compares the written values without timestamps', () => {
+  const payload = { product: { price: 15, custom_attributes: [{ attribute_code: 'color', value: 'blue' }] } };
+  const current = { price: '15', custom_attributes: [{ attribute_code: 'color', value: 'blue' }] };
+
+  assert.equal(isModifiedSince({}, payload, current), false);
+  assert.equal(isModifiedSince({}, payload, { ...current, price: 16 }), true);
+});